@@ -1,11 +1,46 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const { App } = require('@slack/bolt');
 const bodyParser = require('body-parser');
 const morgan = require('morgan');
-const { formatSlackMessage } = require('./utils/formatters');
+const nodemailer = require('nodemailer');
+const { formatSlackMessage, formatIncidentParentMessage, formatDigestMessage, removeIncidentControls } = require('./utils/formatters');
 const { sendWebhookMessage } = require('./utils/slackClient');
-const { mcpVerifyMiddleware, getExpressVerifyCallback } = require('./utils/verifier');
+const { createMcpVerifyMiddleware, getExpressVerifyCallback } = require('./utils/verifier');
+const { createDeliveryQueue, describeError } = require('./utils/deliveryQueue');
+const { getDeliveryKey, createDedupStore } = require('./utils/dedup');
+const { createDeadLetterStore } = require('./utils/deadLetters');
+const { createAdminRouter } = require('./utils/adminApi');
+const { createRateLimiter, getRetryAfterMs } = require('./utils/rateLimiter');
+const { loadRoutingConfig, createRouter } = require('./utils/routing');
+const { loadTenants, tenantTag } = require('./utils/tenants');
+const { createThreadStore, threadKey } = require('./utils/threadStore');
+const { createDigestBuffer } = require('./utils/digest');
+const { createHeldAlerts } = require('./utils/heldAlerts');
+const { createEscalationTracker } = require('./utils/escalation');
+const { createEventLog } = require('./utils/eventLog');
+const { registerMcpCommand } = require('./utils/commands');
+const { createAuditLog } = require('./utils/auditLog');
+const { registerIncidentActions } = require('./utils/incidentActions');
+const { registerAppHome } = require('./utils/appHome');
+const { createSubscriptionStore } = require('./utils/subscriptions');
+const { formatTeamsMessage } = require('./utils/teamsFormatters');
+const { formatEmailMessage } = require('./utils/emailFormatters');
+const { createEmailBatcher } = require('./utils/emailBatch');
+const { buildEnvelope, sendOutboundWebhook, createOutboundStatus } = require('./utils/outboundWebhooks');
+const { getFormatter } = require('./utils/dates');
+const { SUPPORTED_EVENT_TYPES, validatePayload } = require('./utils/schemas');
+const { fitBlockLimits, getPayloadError } = require('./utils/blockLimits');
+
+// Directory for state that must survive restarts (pending deliveries, etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Fail fast on an invalid ALERT_TIMEZONE or ALERT_LOCALE rather than on the first alert
+getFormatter();
+
+// MCP accounts served by this process (TENANTS_FILE, or a single tenant from the environment)
+const tenants = loadTenants(process.env.TENANTS_FILE);
 
 // Initialize Express app
 const expressApp = express();
@@ -15,6 +50,11 @@ const slackApp = new App({
   token: process.env.SLACK_BOT_TOKEN,
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN,
+  // Failed and rate-limited posts are retried by the delivery queue, not inside the Web API client
+  clientOptions: {
+    retryConfig: { retries: 0 },
+    rejectRateLimitedCalls: true
+  },
   // Add custom error handler
   customRoutes: [
     {
@@ -31,6 +71,14 @@ const slackApp = new App({
 // Track Socket Mode connection status
 let socketModeConnected = false;
 
+// Channel router of each tenant, by tenant ID (set up with the webhook routes below)
+const routers = new Map();
+
+// Shutdown state: once set, new webhooks are refused so MCP retries them after the restart
+let shuttingDown = false;
+let inFlightWebhooks = 0;
+let server = null;
+
 // Handle Socket Mode lifecycle events
 slackApp.error((error) => {
   console.error('Socket Mode error:', error);
@@ -59,87 +107,783 @@ slackApp.client.on('reconnecting', () => {
 
 // Middleware
 expressApp.use(morgan('dev'));
-expressApp.use(process.env.MCP_WEBHOOK_URL_PATH, bodyParser.json({
+
+// Refuse webhooks while shutting down and count the ones still being accepted
+function webhookGate(req, res, next) {
+  if (shuttingDown) {
+    res.set('Retry-After', '30');
+    return res.status(503).send('Shutting down, please retry.');
+  }
+
+  inFlightWebhooks++;
+  let finished = false;
+  const done = () => {
+    if (!finished) {
+      finished = true;
+      inFlightWebhooks--;
+    }
+  };
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+}
+
+// Parse webhook bodies while keeping the raw body for signature verification
+const webhookBodyParser = bodyParser.json({
   verify: getExpressVerifyCallback()
-}));
+});
 
 // Health check endpoint
 expressApp.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'ok',
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? 'shutting_down' : 'ok',
     socketMode: socketModeConnected ? 'connected' : 'disconnected',
     timestamp: new Date().toISOString()
   });
 });
 
-// MCP webhook endpoint
-expressApp.post(process.env.MCP_WEBHOOK_URL_PATH, mcpVerifyMiddleware, async (req, res) => {
+// Paces posts per channel and holds both transports while Slack is rate limiting us
+const rateLimiter = createRateLimiter({
+  channelIntervalMs: parseInt(process.env.SLACK_CHANNEL_INTERVAL_MS, 10) || undefined
+});
+
+/**
+ * Build the error thrown when Slack answers 429, after pausing the shared rate limiter.
+ * The queue retries it once the Retry-After period is over instead of trying the other transport;
+ * later Slack messages are put off by the limiter until then, so they don't overtake it.
+ * @param {string} transport - Transport that was rate limited
+ * @param {number} retryAfterMs - Retry-After delay in milliseconds
+ * @returns {Error} - Error carrying retryAfterMs
+ */
+function rateLimitedError(transport, retryAfterMs) {
+  rateLimiter.pause(retryAfterMs);
+  const error = new Error(`${transport} rate limited by Slack, retry after ${Math.ceil(retryAfterMs / 1000)}s`);
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Fit a Slack payload within the Block Kit limits, logging what had to be trimmed
+ * @param {object} payload - chat.postMessage or chat.update payload
+ * @param {string} tag - Log prefix
+ * @param {string} what - What the payload is, for the log line
+ * @returns {object} - The payload to send
+ */
+function fitSlackPayload(payload, tag, what) {
+  const { payload: fitted, changes } = fitBlockLimits(payload);
+  if (changes.length > 0) {
+    console.warn(`${tag} Trimmed ${what} to fit Slack's Block Kit limits: ${changes.join('; ')}`);
+  }
+  return fitted;
+}
+
+// Audit trail of the acknowledge / assign / escalate actions taken on incident alerts
+const auditLog = createAuditLog({
+  file: path.join(DATA_DIR, 'audit.jsonl')
+});
+
+// Incident report threads: "created" alerts start a thread, later events reply in it
+const threadStore = createThreadStore({
+  file: path.join(DATA_DIR, 'threads.json')
+});
+
+/**
+ * Post an incident update or retraction as a reply in the thread of its "created" alert
+ * and edit that parent message to show the current status.
+ * @param {object} job - Delivery queue job with meta.thread set
+ * @param {object} [payload] - Payload to post, defaults to job.payload
+ * @returns {Promise<object|null>} - chat.postMessage response of the reply, or null when no
+ *                                   parent is known and the alert should be posted top-level
+ */
+async function postIncidentThreadReply(job, payload = job.payload) {
+  const { eventType, eventDateTime, eventData, incidentReportID, tenantName } = job.meta.thread;
+  const key = threadKey(job.meta.tenantId, incidentReportID, job.payload.channel);
+  const parent = threadStore.get(key);
+  if (!parent || eventType === 'carrier.incident_report.created') {
+    return null;
+  }
+
+  const reply = await slackApp.client.chat.postMessage({ ...payload, channel: parent.channel, thread_ts: parent.ts });
+
+  // Details missing from this event (e.g. the reporter on a retraction) come from earlier ones
+  const detail = { ...parent.detail, ...eventData.incidentReportDetail };
+  const message = formatIncidentParentMessage(eventType, eventDateTime, { ...eventData, incidentReportDetail: detail }, {
+    tenantName,
+    triage: auditLog.triage(parent.channel, parent.ts)
+  });
   try {
-    const { eventType, eventDateTime, eventData } = req.body;
-    
-    console.log(`Received MCP webhook: ${eventType}`);
-    
-    // Send acknowledgment response immediately
-    res.status(200).send('Webhook received');
-    
-    // Process the webhook and send to Slack
-    const message = formatSlackMessage(eventType, eventDateTime, eventData);
-    
+    await slackApp.client.chat.update(fitSlackPayload({
+      channel: parent.channel,
+      ts: parent.ts,
+      text: message.fallbackText,
+      blocks: message.blocks,
+      attachments: message.attachments
+    }, tenantTag(job.meta.tenantId || 'default'), `incident ${incidentReportID} parent message`));
+  } catch (error) {
+    // The reply is already posted, so don't fail the job and post it twice
+    console.warn(`${tenantTag(job.meta.tenantId || 'default')} Could not update incident ${incidentReportID} parent message:`, describeError(error));
+  }
+
+  const status = eventType === 'carrier.incident_report.retracted' ? 'Retracted' : (detail.status || 'Updated');
+  try {
+    await threadStore.set(key, { detail, status });
+  } catch (error) {
+    // The reply is already posted; the thread just keeps its previous status and details
+    console.error(`${tenantTag(job.meta.tenantId || 'default')} Could not update thread for incident ${incidentReportID}:`, error.message);
+  }
+  return reply;
+}
+
+/**
+ * Remember the Slack message of a "created" incident alert so later events can thread under it
+ * @param {object} job - Delivery queue job with meta.thread set
+ * @param {object} result - chat.postMessage response
+ */
+async function rememberIncidentThread(job, result) {
+  const { eventType, eventData, incidentReportID } = job.meta.thread;
+  if (eventType !== 'carrier.incident_report.created' || !result || !result.ts) {
+    return;
+  }
+  try {
+    await threadStore.set(threadKey(job.meta.tenantId, incidentReportID, job.payload.channel), {
+      channel: result.channel,
+      ts: result.ts,
+      status: eventData.incidentReportDetail?.status || 'New',
+      detail: eventData.incidentReportDetail || {}
+    });
+  } catch (error) {
+    // The alert is already posted; later events will just be posted top-level
+    console.error(`${tenantTag(job.meta.tenantId || 'default')} Could not remember thread for incident ${incidentReportID}:`, error.message);
+  }
+}
+
+/**
+ * Add the escalation mention of a critical alert to its payload, in both the fallback
+ * text (so it notifies) and a section above the alert blocks.
+ * @param {object} payload - chat.postMessage payload
+ * @param {object} escalation - job.meta.escalation ({ mention, repost, maxReposts, repostAfterMs })
+ * @returns {object} - The payload to post
+ */
+function withEscalation(payload, escalation) {
+  const repostNote = escalation.repost
+    ? ` Unacknowledged for ${Math.round(escalation.repost * escalation.repostAfterMs / 60000)} min, re-posted (${escalation.repost}/${escalation.maxReposts}).`
+    : '';
+  const notice = `🚨 ${escalation.mention ? `${escalation.mention} ` : ''}Critical alert.${repostNote} React to acknowledge.`;
+
+  return {
+    ...payload,
+    text: `${escalation.mention ? `${escalation.mention} ` : ''}${payload.text}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: notice } },
+      ...(payload.blocks || [])
+    ]
+  };
+}
+
+// Unacknowledged critical alerts are re-posted until someone reacts to them
+const escalations = createEscalationTracker({
+  file: path.join(DATA_DIR, 'escalations.json'),
+  repost: async (alert, repost) => {
+    await deliveryQueue.enqueue(alert.payload, {
+      ...alert.meta,
+      thread: undefined,
+      escalation: { ...alert.meta.escalation, id: alert.id, repost }
+    });
+  }
+});
+
+/**
+ * Start tracking a posted critical alert for acknowledgement
+ * @param {object} job - Delivery queue job with meta.escalation set
+ * @param {object} result - chat.postMessage response
+ */
+async function trackEscalation(job, result) {
+  try {
+    await escalations.track({
+      id: job.meta.escalation.id,
+      channel: result.channel,
+      ts: result.ts,
+      payload: job.payload,
+      meta: job.meta
+    });
+  } catch (error) {
+    // The alert is already posted; it just won't be re-posted
+    console.error(`${tenantTag(job.meta.tenantId || 'default')} Could not track critical alert for acknowledgement:`, error.message);
+  }
+}
+
+/**
+ * Build the error thrown when Slack rejects the message itself, which retrying won't fix
+ * @param {string} payloadError - Slack error code, e.g. `invalid_blocks`
+ * @param {Array<object>} transportErrors - What each transport tried reported
+ * @returns {Error} - Error marked permanent
+ */
+function rejectedPayloadError(payloadError, transportErrors) {
+  const error = new Error(`Slack rejected the message (${payloadError}): ${transportErrors.map(({ transport, error }) => `${transport}: ${error}`).join('; ')}`);
+  error.transportErrors = transportErrors;
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Deliver a queued message to Slack.
+ * Uses Socket Mode when connected and falls back to the incoming webhook. Incident
+ * updates and retractions are threaded under their "created" alert when it is known
+ * (Web API only, the webhook posts them top-level).
+ * Throws when neither transport accepted the message so the queue retries it; the
+ * error's `transportErrors` lists what each transport reported. A 429 from either
+ * transport throws right away with `retryAfterMs` rather than trying the other one.
+ * While the rate limiter holds the channel, the job is put off (a `deferred` error) without
+ * posting, so the queue carries on with other jobs instead of waiting.
+ * Critical alerts (meta.escalation) carry their escalation mention and are tracked until
+ * acknowledged, which needs the message `ts` and so only works through the Web API.
+ * Subscription DMs (meta.directMessage) are never sent through the webhook.
+ * The payload is fitted within the Block Kit limits first. A message Slack still rejects
+ * (e.g. `invalid_blocks`) isn't sent through the webhook, which would reject it too; the
+ * error is marked `permanent` so the queue dead-letters it instead of retrying.
+ * @param {object} job - Delivery queue job; job.payload is the chat.postMessage payload
+ */
+async function deliverToSlack(job) {
+  const { eventType, tenantId = 'default', escalation } = job.meta;
+  // Not this channel's turn yet: the queue tries again later and moves on to other jobs
+  const waitMs = rateLimiter.acquire(job.payload.channel);
+  if (waitMs > 0) {
+    const error = new Error(`Slack channel ${job.payload.channel} is paced, retry after ${waitMs}ms`);
+    error.retryAfterMs = waitMs;
+    error.deferred = true;
+    throw error;
+  }
+
+  const tenant = tenants.get(tenantId);
+  const tag = tenantTag(tenantId);
+  const transportErrors = [];
+  const payload = fitSlackPayload(escalation ? withEscalation(job.payload, escalation) : job.payload, tag, `${eventType} message`);
+
+  if (socketModeConnected) {
     try {
-      // Try to post message to Slack using Socket Mode
-      if (socketModeConnected) {
-        await slackApp.client.chat.postMessage({
-          channel: process.env.SLACK_CHANNEL,
+      const reply = job.meta.thread ? await postIncidentThreadReply(job, payload) : null;
+      if (reply) {
+        console.log(`${tag} Message posted to Slack thread via Socket Mode for event: ${eventType}`);
+        if (escalation) {
+          await trackEscalation(job, reply);
+        }
+        return;
+      }
+
+      const result = await slackApp.client.chat.postMessage(payload);
+      console.log(`${tag} Message posted to Slack via Socket Mode for event: ${eventType}`);
+      if (job.meta.thread) {
+        await rememberIncidentThread(job, result);
+      }
+      if (escalation) {
+        await trackEscalation(job, result);
+      }
+      return;
+    } catch (slackError) {
+      const retryAfterMs = getRetryAfterMs(slackError);
+      if (retryAfterMs) {
+        throw rateLimitedError('socket-mode', retryAfterMs);
+      }
+      console.error(`${tag} Error posting to Slack:`, slackError);
+      transportErrors.push({ transport: 'socket-mode', error: describeError(slackError), at: new Date().toISOString() });
+
+      const payloadError = getPayloadError(slackError);
+      if (payloadError) {
+        throw rejectedPayloadError(payloadError, transportErrors);
+      }
+    }
+  } else {
+    transportErrors.push({ transport: 'socket-mode', error: 'Socket Mode disconnected', at: new Date().toISOString() });
+  }
+
+  // The incoming webhook is bound to one channel, so a DM has to wait for the Web API
+  if (job.meta.directMessage) {
+    const error = new Error(transportErrors.map(({ transport, error }) => `${transport}: ${error}`).join('; '));
+    error.transportErrors = transportErrors;
+    throw error;
+  }
+  console.log(`${tag} ${socketModeConnected ? 'Trying webhook as backup...' : 'Socket Mode disconnected, using webhook fallback...'}`);
+
+  try {
+    await sendWebhookMessage(tenant ? tenant.slackWebhookUrl : process.env.SLACK_WEBHOOK_URL, payload);
+    console.log(`${tag} Message posted to Slack via webhook for event: ${eventType}`);
+    if (escalation && !escalation.repost) {
+      console.warn(`${tag} Critical ${eventType} alert posted via webhook can't be tracked for acknowledgement`);
+    }
+  } catch (webhookError) {
+    const retryAfterMs = getRetryAfterMs(webhookError);
+    if (retryAfterMs) {
+      throw rateLimitedError('webhook', retryAfterMs);
+    }
+    transportErrors.push({ transport: 'webhook', error: describeError(webhookError), at: new Date().toISOString() });
+    const payloadError = getPayloadError(webhookError);
+    if (payloadError) {
+      throw rejectedPayloadError(payloadError, transportErrors);
+    }
+    console.error(`${tag} Both Slack delivery methods failed:`, webhookError);
+
+    const error = new Error(transportErrors.map(({ transport, error }) => `${transport}: ${error}`).join('; '));
+    error.transportErrors = transportErrors;
+    throw error;
+  }
+}
+
+/**
+ * Deliver a queued Adaptive Card to a Microsoft Teams destination (meta.teams).
+ * The webhook URL is looked up in the tenant's routing config at delivery time, so it is
+ * never written to the queue. Throws when Teams doesn't accept the card so the queue
+ * retries it; a 429 carries `retryAfterMs`, so the queue puts off this card until the
+ * Retry-After period is over and carries on with the other jobs, leaving the Slack rate
+ * limiter alone.
+ * @param {object} job - Delivery queue job; job.payload is the Teams webhook payload
+ */
+async function deliverToTeams(job) {
+  const { eventType, tenantId = 'default', teams } = job.meta;
+  const tag = tenantTag(tenantId);
+  const webhookUrl = routers.get(tenantId)?.teamsWebhookUrl(teams);
+  if (!webhookUrl) {
+    throw new Error(`Unknown Teams destination "${teams}"`);
+  }
+
+  try {
+    await sendWebhookMessage(webhookUrl, job.payload);
+    console.log(`${tag} Card posted to Teams destination "${teams}" for event: ${eventType}`);
+  } catch (teamsError) {
+    const retryAfterMs = getRetryAfterMs(teamsError);
+    const error = new Error(`teams: ${describeError(teamsError)}`);
+    if (retryAfterMs) {
+      error.retryAfterMs = retryAfterMs;
+    }
+    console.error(`${tag} Error posting to Teams destination "${teams}":`, teamsError);
+    throw error;
+  }
+}
+
+// SMTP server for email alerts (SMTP_HOST unset disables email)
+const mailTransport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+  : null;
+
+/**
+ * Send a queued email (meta.email) through the SMTP server. Throws when the server
+ * doesn't accept it so the queue retries it.
+ * @param {object} job - Delivery queue job; job.payload is { to, subject, text, html }
+ */
+async function deliverEmail(job) {
+  const { eventType, tenantId = 'default' } = job.meta;
+  if (!mailTransport) {
+    throw new Error('email: SMTP_HOST is not set');
+  }
+
+  try {
+    const info = await mailTransport.sendMail({
+      from: process.env.EMAIL_FROM || 'MCP Alerts <mcp-alerts@localhost>',
+      ...job.payload
+    });
+    console.log(`${tenantTag(tenantId)} Email ${info.messageId} sent to ${job.payload.to.join(', ')} for event: ${eventType}`);
+  } catch (mailError) {
+    console.error(`${tenantTag(tenantId)} Error sending email to ${job.payload.to.join(', ')}:`, mailError.message);
+    throw new Error(`email: ${mailError.message}`);
+  }
+}
+
+// Delivery status of each outbound webhook target, for GET /admin/outbound
+const outboundStatus = createOutboundStatus({
+  file: path.join(DATA_DIR, 'outbound-status.json')
+});
+
+// Outbound webhook targets that answered 429, by tenant and target name, until when
+const outboundHolds = new Map();
+
+/**
+ * POST a queued event envelope to an outbound webhook target (meta.outbound). The URL and
+ * secret are looked up in the tenant's routing config at delivery time, so they are never
+ * written to the queue. Throws when the target doesn't answer 2xx in time so the queue
+ * retries it. A 429 carries `retryAfterMs`, and the target's other queued events are put
+ * off until the Retry-After period is over too, without being sent or counted as failures.
+ * @param {object} job - Delivery queue job; job.payload is the envelope
+ */
+async function deliverOutbound(job) {
+  const { eventType, tenantId = 'default', outbound } = job.meta;
+  const tag = tenantTag(tenantId);
+  const target = routers.get(tenantId)?.outboundTarget(outbound);
+  if (!target) {
+    throw new Error(`Unknown outbound webhook "${outbound}"`);
+  }
+
+  const holdKey = `${tenantId}/${outbound}`;
+  const heldForMs = (outboundHolds.get(holdKey) || 0) - Date.now();
+  if (heldForMs > 0) {
+    const error = new Error(`outbound: "${outbound}" is rate limiting, retry after ${Math.ceil(heldForMs / 1000)}s`);
+    error.retryAfterMs = heldForMs;
+    throw error;
+  }
+
+  try {
+    const result = await sendOutboundWebhook(target, job.payload);
+    await outboundStatus.recordSuccess(tenantId, outbound, result.statusCode);
+    console.log(`${tag} Event ${job.payload.id} delivered to outbound webhook "${outbound}" for event: ${eventType}`);
+  } catch (outboundError) {
+    const description = describeError(outboundError);
+    await outboundStatus.recordFailure(tenantId, outbound, description, outboundError.statusCode);
+    const error = new Error(`outbound: ${description}`);
+    const retryAfterMs = getRetryAfterMs(outboundError);
+    if (retryAfterMs) {
+      error.retryAfterMs = retryAfterMs;
+      outboundHolds.set(holdKey, Date.now() + retryAfterMs);
+    }
+    console.error(`${tag} Error delivering to outbound webhook "${outbound}":`, description);
+    throw error;
+  }
+}
+
+/**
+ * Deliver a queued job to the platform it was routed to
+ * @param {object} job - Delivery queue job
+ */
+function deliverAlert(job) {
+  if (job.meta.outbound) {
+    return deliverOutbound(job);
+  }
+  if (job.meta.email) {
+    return deliverEmail(job);
+  }
+  return job.meta.teams ? deliverToTeams(job) : deliverToSlack(job);
+}
+
+// Undeliverable alerts are parked here until an admin replays or discards them
+const deadLetters = createDeadLetterStore({
+  dir: path.join(DATA_DIR, 'dead-letters')
+});
+
+// Persistent queue so alerts survive Slack outages and restarts
+const deliveryQueue = createDeliveryQueue({
+  dir: path.join(DATA_DIR, 'queue'),
+  deliver: deliverAlert,
+  baseDelayMs: parseInt(process.env.DELIVERY_RETRY_BASE_MS, 10) || undefined,
+  maxDelayMs: parseInt(process.env.DELIVERY_RETRY_MAX_MS, 10) || undefined,
+  maxAttempts: process.env.DELIVERY_MAX_ATTEMPTS !== undefined ? parseInt(process.env.DELIVERY_MAX_ATTEMPTS, 10) : 10,
+  onGiveUp: async (job) => {
+    if (job.meta.outbound) {
+      await outboundStatus.recordDeadLetter(job.meta.tenantId || 'default', job.meta.outbound);
+    }
+    await deadLetters.add(job);
+  }
+});
+
+// Non-critical alerts routed during a policy's quiet hours wait here until the quiet period ends
+const heldAlerts = createHeldAlerts({
+  file: path.join(DATA_DIR, 'held-alerts.json'),
+  isQuiet: (alert) => {
+    const policy = routers.get(alert.tenantId)?.policy(alert.policy);
+    return policy ? policy.isQuiet() : false;
+  },
+  release: (alert) => deliveryQueue.enqueue(alert.payload, alert.meta)
+});
+
+/**
+ * Send an alert to one channel according to the channel's policy: held during quiet hours
+ * unless critical, queued for delivery otherwise. Critical alerts get the policy's
+ * escalation (mention and re-posts until acknowledged).
+ * @param {object} payload - chat.postMessage payload
+ * @param {object} meta - Delivery queue metadata
+ * @param {object|null} policy - Policy of the route (see utils/policies.js), if any
+ * @param {boolean} critical - Whether the event is critical under the policy
+ * @returns {Promise<string>} - 'held' or 'queued'
+ */
+async function dispatchAlert(payload, meta, policy, critical) {
+  if (policy && critical && policy.escalation) {
+    const { mention, repostAfterMinutes, maxReposts } = policy.escalation;
+    meta = { ...meta, escalation: { mention, repostAfterMs: (repostAfterMinutes || 0) * 60 * 1000, maxReposts, repost: 0 } };
+  }
+  if (policy && !critical && policy.isQuiet()) {
+    await heldAlerts.hold({ tenantId: meta.tenantId, policy: policy.name, payload, meta });
+    return 'held';
+  }
+  await deliveryQueue.enqueue(payload, meta);
+  return 'queued';
+}
+
+// Reacting to a critical alert (or one of its re-posts) acknowledges it
+slackApp.event('reaction_added', async ({ event }) => {
+  if (event.item && event.item.type === 'message') {
+    await escalations.acknowledge(event.item.channel, event.item.ts, event.user);
+  }
+});
+
+// Acknowledge / Assign / Escalate controls on incident alerts
+registerIncidentActions(slackApp, {
+  auditLog,
+  escalations,
+  escalationChannel: process.env.SLACK_ESCALATION_CHANNEL
+});
+
+// Admin API for inspecting and replaying dead letters
+expressApp.use('/admin', createAdminRouter({
+  token: process.env.ADMIN_API_TOKEN,
+  deadLetters,
+  deliveryQueue,
+  auditLog,
+  outboundStatus: () => tenants.list().flatMap(tenant => {
+    const router = routers.get(tenant.id);
+    return router.outboundTargetNames().map(name => {
+      // Without the query string, which may carry a token
+      const { origin, pathname } = new URL(router.outboundTarget(name).url);
+      return {
+        ...outboundStatus.list().find(status => status.tenantId === tenant.id && status.name === name),
+        tenantId: tenant.id,
+        name,
+        url: `${origin}${pathname}`,
+        queued: deliveryQueue.count(meta => (meta.tenantId || 'default') === tenant.id && meta.outbound === name)
+      };
+    });
+  })
+}));
+
+// Remembers recent webhooks so MCP redeliveries are only posted once
+const dedupStore = createDedupStore({
+  windowMs: (process.env.DEDUP_WINDOW_SECONDS !== undefined ? parseInt(process.env.DEDUP_WINDOW_SECONDS, 10) : 86400) * 1000,
+  file: path.join(DATA_DIR, 'dedup.json')
+});
+
+// Buffers "digest" mode events and queues a summary per channel on each schedule
+const digestBuffer = createDigestBuffer({
+  file: path.join(DATA_DIR, 'digests.json'),
+  flush: async (bucket) => {
+    const message = formatDigestMessage(bucket.eventType, bucket.entries, {
+      tenantName: bucket.tenantName,
+      since: bucket.since,
+      until: bucket.until
+    });
+    await deliveryQueue.enqueue({
+      channel: bucket.channel,
+      text: message.fallbackText,
+      blocks: message.blocks,
+      attachments: message.attachments
+    }, { eventType: `${bucket.eventType} (digest)`, tenantId: bucket.tenantId });
+  }
+});
+
+// Collects emailed events per recipient list so a burst is sent as one email
+const emailBatcher = createEmailBatcher({
+  file: path.join(DATA_DIR, 'email-batches.json'),
+  windowMs: process.env.EMAIL_BATCH_WINDOW_SECONDS !== undefined ? parseInt(process.env.EMAIL_BATCH_WINDOW_SECONDS, 10) * 1000 : undefined,
+  maxEvents: parseInt(process.env.EMAIL_BATCH_MAX_EVENTS, 10) || undefined,
+  flush: async (batch) => {
+    const message = formatEmailMessage(batch.events, { tenantName: batch.tenantName });
+    await deliveryQueue.enqueue({
+      to: batch.recipients,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    }, {
+      eventType: batch.events.length === 1 ? batch.events[0].eventType : `${batch.events.length} events (email)`,
+      tenantId: batch.tenantId,
+      email: true
+    });
+  }
+});
+
+// Local record of received events, answering the /mcp slash command
+const eventLog = createEventLog({
+  file: path.join(DATA_DIR, 'events.jsonl'),
+  maxAgeDays: parseInt(process.env.EVENT_LOG_RETENTION_DAYS, 10) || undefined
+});
+
+// Per-user DM subscriptions to carriers and customers (/mcp watch)
+const subscriptions = createSubscriptionStore({
+  file: path.join(DATA_DIR, 'subscriptions.json')
+});
+
+registerMcpCommand(slackApp, { eventLog, subscriptions, tenants });
+
+// App Home dashboard with connection status, event counts, open incidents and delivery failures
+registerAppHome(slackApp, {
+  isSocketModeConnected: () => socketModeConnected,
+  eventLog,
+  deadLetters,
+  deliveryQueue,
+  tenants
+});
+
+/**
+ * Build the webhook handler for a tenant
+ * @param {object} tenant - Tenant from the registry
+ * @param {object} router - The tenant's channel router
+ * @returns {function} - Express route handler
+ */
+function createWebhookHandler(tenant, router) {
+  const tag = tenantTag(tenant);
+
+  return async (req, res) => {
+    let reservedKey = null;
+    try {
+      const { eventType, eventDateTime, eventData } = req.body;
+      
+      console.log(`${tag} Received MCP webhook: ${eventType}`);
+
+      // Reject payloads the alerts can't be built from while MCP can still see the error
+      const errors = validatePayload(req.body);
+      if (errors.length > 0) {
+        console.warn(`${tag} Rejected invalid MCP webhook ${eventType}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+        return res.status(422).json({ error: 'Invalid payload', errors });
+      }
+
+      // Skip redeliveries of an event we've already accepted
+      const deliveryKey = `${tenant.id}:${getDeliveryKey(req.body)}`;
+      const previous = dedupStore.check(deliveryKey);
+      if (previous) {
+        console.log(`${tag} Duplicate MCP webhook ignored: ${eventType} (key ${deliveryKey}, first seen ${previous.firstSeenAt}, seen ${previous.count} times${previous.inProgress ? ', still processing' : ''})`);
+        return res.status(200).send(`Duplicate webhook ignored (first received ${previous.firstSeenAt})`);
+      }
+      // Claimed until the event is queued, so a redelivery arriving meanwhile is ignored.
+      // Steps a failed earlier attempt already completed are skipped on the retry
+      const done = dedupStore.reserve(deliveryKey);
+      reservedKey = deliveryKey;
+      
+      // Format the message and persist it before acknowledging, so an accepted
+      // webhook is never lost even if the process dies right after the response
+      const message = formatSlackMessage(eventType, eventDateTime, eventData, {
+        tenantName: tenant.name,
+        mentions: router.mentions(eventType, eventData)
+      });
+      const { channels, teams, email, rules, policies } = router.route(eventType, eventData);
+
+      // Incident lifecycle events are threaded under the alert for the same incident
+      const incidentReportID = eventData?.incidentReportDetail?.incidentReportID;
+      const thread = String(eventType).startsWith('carrier.incident_report.') && incidentReportID
+        ? { incidentReportID: String(incidentReportID), eventType, eventDateTime, eventData, tenantName: tenant.name }
+        : undefined;
+
+      console.log(`${tag} Routing ${eventType} to ${channels.join(', ') || 'no channels'}${teams.length > 0 ? ` and Teams ${teams.join(', ')}` : ''}${email.length > 0 ? ` and email ${email.join(', ')}` : ''} (rules: ${rules.join(', ')})`);
+
+      const delivery = router.deliveryMode(eventType);
+      for (const channel of channels) {
+        if (done.has(`slack:${channel}`)) {
+          continue;
+        }
+        const policy = policies[channel] ? router.policy(policies[channel]) : null;
+        const critical = policy ? policy.isCritical(eventType, eventData) : false;
+
+        // Critical events skip the digest and go out right away
+        if (delivery.mode === 'digest' && !critical) {
+          await digestBuffer.add({
+            tenantId: tenant.id,
+            tenantName: tenant.name,
+            channel,
+            eventType,
+            schedule: delivery.schedule,
+            timeZone: delivery.timezone || process.env.ALERT_TIMEZONE,
+            eventDateTime,
+            eventData
+          });
+          done.add(`slack:${channel}`);
+          console.log(`${tag} Buffered ${eventType} for the next ${channel} digest (${delivery.schedule})`);
+          continue;
+        }
+
+        const outcome = await dispatchAlert({
+          channel,
           text: message.fallbackText,
           blocks: message.blocks,
           attachments: message.attachments
-        });
-        console.log(`Message posted to Slack via Socket Mode for event: ${eventType}`);
-      } else {
-        // Fallback to direct webhook if Socket Mode is disconnected
-        console.log('Socket Mode disconnected, using webhook fallback...');
-        const result = await sendWebhookMessage(process.env.SLACK_WEBHOOK_URL, {
-          channel: process.env.SLACK_CHANNEL,
+        }, { eventType, tenantId: tenant.id, rawBody: req.rawBody, thread }, policy, critical);
+        done.add(`slack:${channel}`);
+        if (critical) {
+          console.log(`${tag} ${eventType} is critical under policy "${policy.name}" for ${channel}, sending now`);
+        } else if (outcome === 'held') {
+          console.log(`${tag} Holding ${eventType} for ${channel} until quiet hours of policy "${policy.name}" end`);
+        }
+      }
+
+      // Teams destinations get every routed event right away; digests, quiet hours and
+      // escalation apply to Slack channels only
+      if (teams.length > 0) {
+        const card = formatTeamsMessage(eventType, eventDateTime, eventData, { tenantName: tenant.name });
+        for (const name of teams.filter(name => !done.has(`teams:${name}`))) {
+          await deliveryQueue.enqueue(card, { eventType, tenantId: tenant.id, rawBody: req.rawBody, teams: name });
+          done.add(`teams:${name}`);
+        }
+      }
+
+      if (email.length > 0 && !done.has('email')) {
+        await emailBatcher.add({ tenantId: tenant.id, tenantName: tenant.name, recipients: email, eventType, eventDateTime, eventData });
+        done.add('email');
+      }
+
+      // Signed copies of the event for internal systems (TMS, data warehouse, ...)
+      const outboundTargets = router.outboundTargets(eventType, eventData);
+      if (outboundTargets.length > 0) {
+        const envelope = buildEnvelope({ deliveryKey, tenant, eventType, eventDateTime, eventData });
+        for (const name of outboundTargets.filter(name => !done.has(`outbound:${name}`))) {
+          await deliveryQueue.enqueue(envelope, { eventType, tenantId: tenant.id, rawBody: req.rawBody, outbound: name });
+          done.add(`outbound:${name}`);
+        }
+        console.log(`${tag} Sending ${eventType} to outbound webhook(s) ${outboundTargets.join(', ')}`);
+      }
+
+      // DM a copy to everyone watching this carrier or customer. Copies are not threaded
+      // and have no triage controls, which belong to the channel alert
+      for (const userId of subscriptions.subscribersFor(eventType, eventData).filter(userId => !done.has(`dm:${userId}`))) {
+        await deliveryQueue.enqueue({
+          channel: userId,
           text: message.fallbackText,
-          blocks: message.blocks,
+          blocks: removeIncidentControls(message.blocks),
           attachments: message.attachments
-        });
-        console.log(`Message posted to Slack via webhook for event: ${eventType}`);
+        }, { eventType, tenantId: tenant.id, rawBody: req.rawBody, directMessage: true });
+        done.add(`dm:${userId}`);
+        console.log(`${tag} Sending ${eventType} to subscriber ${userId}`);
+      }
+      dedupStore.remember(deliveryKey);
+      reservedKey = null;
+
+      try {
+        await eventLog.record({ tenantId: tenant.id, eventType, eventDateTime, eventData });
+      } catch (error) {
+        // The alert is already queued; it just won't show up in /mcp lookups
+        console.error(`${tag} Could not record ${eventType} in the event log:`, error.message);
       }
-    } catch (slackError) {
-      console.error('Error posting to Slack:', slackError);
       
-      // If Socket Mode fails, try webhook as backup
-      if (slackError.message !== 'webhook fallback already used') {
-        try {
-          console.log('Trying webhook as backup...');
-          const result = await sendWebhookMessage(process.env.SLACK_WEBHOOK_URL, {
-            channel: process.env.SLACK_CHANNEL,
-            text: message.fallbackText,
-            blocks: message.blocks,
-            attachments: message.attachments
-          });
-          console.log(`Backup webhook delivery succeeded for event: ${eventType}`);
-        } catch (webhookError) {
-          console.error('Both Slack delivery methods failed:', webhookError);
-        }
+      res.status(200).send('Webhook received');
+    } catch (error) {
+      console.error(`${tag} Error processing webhook:`, error);
+      if (reservedKey) {
+        // Let MCP's retry through
+        dedupStore.release(reservedKey);
+      }
+      if (!res.headersSent) {
+        res.status(500).send('Error processing webhook');
       }
     }
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    // We've already sent a 200 response to MCP, so we're just logging the error here
+  };
+}
+
+// MCP webhook endpoint for each tenant, with its own signing secret and routing
+tenants.list().forEach(tenant => {
+  // Decides which channels receive each event (routing rules file, default the tenant's channel)
+  const routingConfig = loadRoutingConfig(tenant.routingRulesFile, tenant.slackChannel);
+  const router = createRouter(routingConfig, {
+    timeZone: process.env.ALERT_TIMEZONE
+  });
+  const sendsEmail = [routingConfig.defaultEmail, ...routingConfig.rules.map(rule => rule.email)].some(list => list && list.length > 0);
+  if (sendsEmail && !mailTransport) {
+    throw new Error(`${tenantTag(tenant)} Routing sends email but SMTP_HOST is not set.`);
   }
-});
+  routers.set(tenant.id, router);
 
-// List of supported MCP webhook event types
-const SUPPORTED_EVENTS = [
-  'carrier.packet.completed',
-  'carrier.incident_report.created',
-  'carrier.incident_report.updated',
-  'carrier.incident_report.retracted',
-  'carrier.vin_verification.completed',
-  'carrier.user_verification.completed'
-];
+  expressApp.post(
+    tenant.webhookPath,
+    webhookGate,
+    webhookBodyParser,
+    createMcpVerifyMiddleware({ secret: tenant.signingSecret, tenantId: tenant.id }),
+    createWebhookHandler(tenant, router)
+  );
+});
 
 // Start both apps
 (async () => {
@@ -148,20 +892,28 @@ const SUPPORTED_EVENTS = [
     await slackApp.start();
     socketModeConnected = true;
     console.log('⚡️ Bolt app is running in Socket Mode!');
-    console.log(`Supported event types:\n${SUPPORTED_EVENTS.map(e => `- ${e}`).join('\n')}`);
+
+    // Resume any deliveries left over from a previous run
+    await deliveryQueue.start();
+    await digestBuffer.start();
+    await emailBatcher.start();
+    await heldAlerts.start();
+    await escalations.start();
+    console.log(`Supported event types:\n${SUPPORTED_EVENT_TYPES.map(e => `- ${e}`).join('\n')}`);
     
     // Start the Express server
     const port = process.env.PORT || 3001;
-    const webhookPath = process.env.MCP_WEBHOOK_URL_PATH || '/webhooks/mcp';
     const publicAppUrl = process.env.PUBLIC_APP_URL;
 
-    expressApp.listen(port, () => {
+    server = expressApp.listen(port, () => {
       console.log(`Express server is running on port ${port}`);
-      const localWebhookUrl = `http://localhost:${port}${webhookPath}`;
-      console.log(`Local Webhook URL: ${localWebhookUrl}`);
-      if (publicAppUrl) {
-        console.log(`Public Webhook URL (via Tunnel/Proxy): ${publicAppUrl.replace(/\/$/, '')}${webhookPath}`);
-      }
+      tenants.list().forEach(tenant => {
+        const localWebhookUrl = `http://localhost:${port}${tenant.webhookPath}`;
+        console.log(`${tenantTag(tenant)} Local Webhook URL: ${localWebhookUrl}`);
+        if (publicAppUrl) {
+          console.log(`${tenantTag(tenant)} Public Webhook URL (via Tunnel/Proxy): ${publicAppUrl.replace(/\/$/, '')}${tenant.webhookPath}`);
+        }
+      });
       console.log(`Health check: http://localhost:${port}/health`);
     });
   } catch (error) {
@@ -169,3 +921,59 @@ const SUPPORTED_EVENTS = [
     process.exit(1);
   }
 })();
+
+/**
+ * Shut down without dropping alerts: refuse new webhooks with 503 so MCP retries them,
+ * let in-flight webhooks finish, drain the delivery queue (anything left stays on disk
+ * for the next start) and close the Socket Mode connection.
+ * @param {string} signal - The signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 20000;
+  const deadline = Date.now() + timeoutMs;
+  console.log(`${signal} received, shutting down (timeout ${timeoutMs}ms)...`);
+
+  // Last resort if something below hangs
+  setTimeout(() => {
+    console.error('Graceful shutdown timed out, exiting.');
+    process.exit(1);
+  }, timeoutMs + 5000).unref();
+
+  try {
+    while (inFlightWebhooks > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    // Keys accepted since the last save, so redeliveries after the restart are still ignored
+    await dedupStore.flush().catch(error => console.error('[Dedup] Could not persist seen keys:', error.message));
+
+    // Buffered digest and email events, held and tracked alerts are on disk; just let work in progress finish
+    await digestBuffer.stop();
+    await emailBatcher.stop();
+    await heldAlerts.stop();
+    await escalations.stop();
+
+    const remaining = await deliveryQueue.drain(Math.max(0, deadline - Date.now()));
+    if (remaining > 0) {
+      console.log(`${remaining} alert(s) still queued, they will be delivered after restart.`);
+    }
+
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await slackApp.stop();
+    console.log('Shutdown complete.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,108 @@
+/**
+ * CLI for the dead-letter admin API
+ *
+ * Usage:
+ *   node scripts/dead-letters.js list
+ *   node scripts/dead-letters.js show <id>
+ *   node scripts/dead-letters.js replay <id|--all>
+ *   node scripts/dead-letters.js discard <id>
+ *
+ * Talks to the running app at ADMIN_API_URL (default http://localhost:PORT)
+ * using ADMIN_API_TOKEN from the environment or .env file.
+ */
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+
+const baseUrl = (process.env.ADMIN_API_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+
+// Send a request to the admin API and resolve with the parsed JSON response
+function adminRequest(method, path) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(`${baseUrl}/admin${path}`);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const req = client.request(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}`
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (error) {
+          body = { error: data };
+        }
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(body);
+        } else {
+          reject(new Error(`${res.statusCode}: ${body.error || data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function usage() {
+  console.log('Usage: node scripts/dead-letters.js <list | show <id> | replay <id|--all> | discard <id>>');
+  process.exit(1);
+}
+
+async function main() {
+  const [command, id] = process.argv.slice(2);
+
+  if (!process.env.ADMIN_API_TOKEN) {
+    console.error('Error: ADMIN_API_TOKEN is not set in the environment variables.');
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'list': {
+      const { deadLetters } = await adminRequest('GET', '/dead-letters');
+      if (deadLetters.length === 0) {
+        console.log('No dead letters.');
+        return;
+      }
+      deadLetters.forEach(entry => {
+        console.log(`${entry.id}  ${entry.eventType || '-'}  failed ${entry.failedAt} after ${entry.attempts} attempt(s)`);
+        console.log(`    ${entry.lastError}`);
+      });
+      return;
+    }
+    case 'show':
+      if (!id) usage();
+      console.log(JSON.stringify(await adminRequest('GET', `/dead-letters/${encodeURIComponent(id)}`), null, 2));
+      return;
+    case 'replay': {
+      if (!id) usage();
+      const path = id === '--all' ? '/dead-letters/replay' : `/dead-letters/${encodeURIComponent(id)}/replay`;
+      const { replayed } = await adminRequest('POST', path);
+      replayed.forEach(entry => console.log(`Replayed ${entry.id} as job ${entry.jobId}`));
+      if (replayed.length === 0) {
+        console.log('Nothing to replay.');
+      }
+      return;
+    }
+    case 'discard':
+      if (!id) usage();
+      await adminRequest('DELETE', `/dead-letters/${encodeURIComponent(id)}`);
+      console.log(`Discarded ${id}`);
+      return;
+    default:
+      usage();
+  }
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
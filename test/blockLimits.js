@@ -0,0 +1,83 @@
+/**
+ * Tests for fitting Slack messages within the Block Kit limits (utils/blockLimits.js)
+ *
+ * Usage: node test/blockLimits.js
+ */
+const assert = require('assert');
+const { BLOCK_LIMITS, truncateText, fitBlockLimits, getPayloadError } = require('../utils/blockLimits');
+const { run } = require('./harness');
+
+function section(text) {
+  return { type: 'section', text: { type: 'mrkdwn', text } };
+}
+
+function field(text) {
+  return { type: 'mrkdwn', text };
+}
+
+run('Block limits', {
+  'returns a payload within the limits unchanged': () => {
+    const payload = { text: 'Packet completed', blocks: [section('*Carrier:* ACME')] };
+    const { payload: fitted, changes } = fitBlockLimits(payload);
+    assert.strictEqual(fitted, payload);
+    assert.deepStrictEqual(changes, []);
+  },
+
+  'truncates a long header and field without changing the original': () => {
+    const payload = {
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: 'D'.repeat(200) } },
+        { type: 'section', fields: [field('x'.repeat(2500))] }
+      ]
+    };
+    const { payload: fitted, changes } = fitBlockLimits(payload);
+    assert.strictEqual(fitted.blocks[0].text.text.length, BLOCK_LIMITS.headerText);
+    assert.ok(fitted.blocks[0].text.text.endsWith('…'));
+    assert.strictEqual(fitted.blocks[1].fields[0].text.length, BLOCK_LIMITS.fieldText);
+    assert.strictEqual(changes.length, 2);
+    assert.strictEqual(payload.blocks[0].text.text.length, 200);
+  },
+
+  'splits a section with too many fields': () => {
+    const fields = Array.from({ length: 13 }, (_, index) => field(`*Field ${index}*`));
+    const { payload: fitted } = fitBlockLimits({ blocks: [{ type: 'section', fields }] });
+    assert.deepStrictEqual(fitted.blocks.map(block => block.fields.length), [10, 3]);
+    assert.deepStrictEqual(fitted.blocks.flatMap(block => block.fields), fields);
+  },
+
+  'collapses blocks beyond the limit into a note and keeps the buttons': () => {
+    const actions = { type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: 'Acknowledge' } }] };
+    const blocks = [...Array.from({ length: 60 }, (_, index) => section(`Line ${index}`)), actions];
+    const { payload: fitted, changes } = fitBlockLimits({ blocks });
+
+    assert.strictEqual(fitted.blocks.length, BLOCK_LIMITS.blocks);
+    assert.deepStrictEqual(fitted.blocks[BLOCK_LIMITS.blocks - 1], actions);
+    const note = fitted.blocks[BLOCK_LIMITS.blocks - 2];
+    assert.strictEqual(note.type, 'context');
+    assert.strictEqual(note.elements[0].text, "_…12 more block(s) didn't fit in this message_");
+    assert.deepStrictEqual(changes, ['blocks: 12 of 61 blocks collapsed']);
+  },
+
+  'fits blocks of attachments as well': () => {
+    const attachment = { color: '#ff0000', blocks: [section('y'.repeat(3500))] };
+    const { payload: fitted, changes } = fitBlockLimits({ attachments: [attachment] });
+    assert.strictEqual(fitted.attachments[0].color, '#ff0000');
+    assert.strictEqual(fitted.attachments[0].blocks[0].text.text.length, BLOCK_LIMITS.sectionText);
+    assert.strictEqual(changes.length, 1);
+  },
+
+  'cuts text without breaking a token or entity': () => {
+    assert.strictEqual(truncateText('short', 10), 'short');
+    assert.strictEqual(truncateText('see <https://example.com|link>', 12), 'see …');
+    assert.strictEqual(truncateText('Smith &amp; Sons', 10), 'Smith …');
+    assert.strictEqual(truncateText('ab🚚cd', 4), 'ab…');
+  },
+
+  'recognizes errors caused by the message itself': () => {
+    assert.strictEqual(getPayloadError({ data: { error: 'invalid_blocks' } }), 'invalid_blocks');
+    assert.strictEqual(getPayloadError({ statusCode: 400, response: 'no_text\n' }), 'no_text');
+    assert.strictEqual(getPayloadError({ data: { error: 'channel_not_found' } }), null);
+    assert.strictEqual(getPayloadError({ statusCode: 500, response: 'invalid_blocks' }), null);
+    assert.strictEqual(getPayloadError(null), null);
+  }
+});
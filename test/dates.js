@@ -0,0 +1,48 @@
+/**
+ * Tests for parsing and formatting MCP timestamps (utils/dates.js)
+ *
+ * Usage: node test/dates.js
+ */
+const assert = require('assert');
+const { parseDate, formatDate, formatSlackDate, getFormatter } = require('../utils/dates');
+const { run } = require('./harness');
+
+const CHICAGO = { timeZone: 'America/Chicago', locale: 'en-US' };
+
+run('Dates', {
+  'reads lenient timestamps as UTC unless they have an offset': () => {
+    assert.strictEqual(parseDate('2025-05-21T14:37:19.3NZ').toISOString(), '2025-05-21T14:37:19.300Z');
+    assert.strictEqual(parseDate('2025-05-21 14:37').toISOString(), '2025-05-21T14:37:00.000Z');
+    assert.strictEqual(parseDate('2025-05-21T14:37:19+0200').toISOString(), '2025-05-21T12:37:19.000Z');
+    assert.strictEqual(parseDate(' 2025-05-21 ').toISOString(), '2025-05-21T00:00:00.000Z');
+  },
+
+  'takes dates and epoch milliseconds as they are': () => {
+    assert.strictEqual(parseDate(Date.UTC(2025, 4, 21)).toISOString(), '2025-05-21T00:00:00.000Z');
+    assert.strictEqual(parseDate(new Date('2025-05-21T14:37:19Z')).toISOString(), '2025-05-21T14:37:19.000Z');
+    assert.strictEqual(parseDate(new Date('nope')), null);
+  },
+
+  'does not guess at other formats or impossible dates': () => {
+    ['', null, undefined, '1', 'May 21 2025', '21/05/2025', '2025-02-30', '2025-05-21T24:30:00Z'].forEach(value => {
+      assert.strictEqual(parseDate(value), null, String(value));
+    });
+  },
+
+  'formats timestamps in the given timezone and locale': () => {
+    assert.strictEqual(formatDate('2025-05-21T14:37:19Z', CHICAGO), 'May 21, 2025, 9:37 AM CDT');
+    assert.strictEqual(formatDate('2025-01-21T14:37:19Z', CHICAGO), 'Jan 21, 2025, 8:37 AM CST');
+    assert.match(formatDate('2025-05-21T14:37:19Z', { timeZone: 'Europe/Berlin', locale: 'de-DE' }), /^21\. Mai 2025, 16:37/);
+    assert.strictEqual(formatDate('soon'), 'soon');
+    assert.strictEqual(formatDate(undefined), '');
+  },
+
+  'shows Slack date tokens with formatted fallback text': () => {
+    assert.strictEqual(formatSlackDate('2025-05-21T14:37:19Z', CHICAGO), '<!date^1747838239^{date_short_pretty} at {time}|May 21, 2025, 9:37 AM CDT>');
+    assert.strictEqual(formatSlackDate(null), '');
+  },
+
+  'rejects unknown timezones and locales': () => {
+    assert.throws(() => getFormatter('Mars/Olympus_Mons', 'en-US'), /Invalid timezone "Mars\/Olympus_Mons"/);
+  }
+});
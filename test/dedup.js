@@ -0,0 +1,97 @@
+/**
+ * Tests for webhook redelivery detection (utils/dedup.js)
+ *
+ * Usage: node test/dedup.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { getDeliveryKey, createDedupStore } = require('../utils/dedup');
+const { webhookSamples } = require('./webhook');
+const { run, tempDir } = require('./harness');
+
+const WINDOW_MS = 60 * 1000;
+
+function sample(eventType, edit = () => {}) {
+  const payload = JSON.parse(JSON.stringify(webhookSamples[eventType]));
+  edit(payload);
+  return payload;
+}
+
+run('Deduplication', {
+  'derives the same key for a redelivery and different keys for different events': () => {
+    const body = sample('carrier.incident_report.updated');
+    assert.strictEqual(getDeliveryKey(body), getDeliveryKey(sample('carrier.incident_report.updated', copy => {
+      copy.eventDateTime = body.eventDateTime;
+    })));
+    assert.match(getDeliveryKey(body), /^event:[0-9a-f]{32}$/);
+
+    const keys = new Set([
+      getDeliveryKey(body),
+      getDeliveryKey({ ...body, eventDateTime: '2025-01-01T00:00:00Z' }),
+      getDeliveryKey(sample('carrier.incident_report.updated', copy => {
+        copy.eventDateTime = body.eventDateTime;
+        copy.eventData.incidentReportDetail.status = 'Closed';
+      }))
+    ]);
+    assert.strictEqual(keys.size, 3);
+  },
+
+  'reports a key as a duplicate while reserved and once remembered': () => {
+    const store = createDedupStore({ windowMs: WINDOW_MS });
+    assert.strictEqual(store.check('a'), null);
+    store.reserve('a');
+    assert.strictEqual(store.check('a').inProgress, true);
+
+    store.remember('a');
+    const previous = store.check('a');
+    assert.strictEqual(previous.count, 3);
+    assert.ok(previous.firstSeenAt);
+    assert.strictEqual(store.size(), 1);
+  },
+
+  'lets a retry through after a failure and keeps the steps already done': () => {
+    const store = createDedupStore({ windowMs: WINDOW_MS });
+    const done = store.reserve('a');
+    done.add('slack:mcp-alerts');
+    store.release('a');
+
+    assert.strictEqual(store.check('a'), null);
+    const retry = store.reserve('a');
+    assert.deepStrictEqual([...retry], ['slack:mcp-alerts']);
+    assert.strictEqual(store.check('a').inProgress, true);
+  },
+
+  'does nothing with a window of 0': () => {
+    const store = createDedupStore({ windowMs: 0 });
+    store.reserve('a');
+    store.remember('a');
+    assert.strictEqual(store.check('a'), null);
+    assert.strictEqual(store.size(), 0);
+  },
+
+  'persists remembered keys on flush for the next start': async () => {
+    const file = path.join(tempDir(), 'dedup.json');
+    const store = createDedupStore({ windowMs: WINDOW_MS, file });
+    ['a', 'b', 'c'].forEach(key => {
+      store.reserve(key);
+      store.remember(key);
+    });
+    // In progress: not persisted
+    store.reserve('d');
+    await Promise.all([store.flush(), store.flush()]);
+
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['dedup.json']);
+    const restarted = createDedupStore({ windowMs: WINDOW_MS, file });
+    assert.strictEqual(restarted.size(), 3);
+    assert.ok(restarted.check('b'));
+    assert.strictEqual(restarted.check('d'), null);
+  },
+
+  'starts empty from an unreadable file': () => {
+    const file = path.join(tempDir(), 'dedup.json');
+    fs.writeFileSync(file, '{"event:1": {"expiresAt"');
+    const store = createDedupStore({ windowMs: WINDOW_MS, file });
+    assert.strictEqual(store.size(), 0);
+  }
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the persistent delivery queue (utils/deliveryQueue.js)
+ *
+ * Usage: node test/deliveryQueue.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createDeliveryQueue, computeBackoff } = require('../utils/deliveryQueue');
+const { run, waitFor, sleep, tempDir } = require('./harness');
+
+// Queue with short delays, recording the payloads it delivers
+function createTestQueue(deliver, options = {}) {
+  const delivered = [];
+  const queue = createDeliveryQueue({
+    dir: options.dir || tempDir(),
+    baseDelayMs: 20,
+    maxDelayMs: 40,
+    pollIntervalMs: 10,
+    ...options,
+    deliver: async (job) => {
+      await deliver(job);
+      delivered.push(job.payload.n);
+    }
+  });
+  return { queue, delivered };
+}
+
+function rateLimited(retryAfterMs) {
+  const error = new Error('HTTP 429');
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+run('Delivery queue', {
+  'delivers jobs in arrival order': async () => {
+    const { queue, delivered } = createTestQueue(async () => {});
+    await queue.start();
+    for (let n = 1; n <= 5; n++) {
+      await queue.enqueue({ n });
+    }
+    await waitFor(() => queue.size() === 0);
+    await queue.stop();
+    assert.deepStrictEqual(delivered, [1, 2, 3, 4, 5]);
+  },
+
+  'restores persisted jobs in order after a restart': async () => {
+    const dir = tempDir();
+    const first = createTestQueue(async () => {}, { dir });
+    // Not started, so the jobs stay on disk
+    await first.queue.enqueue({ n: 1 });
+    await first.queue.enqueue({ n: 2 });
+    assert.strictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.json')).length, 2);
+
+    const second = createTestQueue(async () => {}, { dir });
+    await second.queue.start();
+    await waitFor(() => second.queue.size() === 0);
+    await second.queue.stop();
+    assert.deepStrictEqual(second.delivered, [1, 2]);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  },
+
+  'retries a failed job with backoff and records the error': async () => {
+    let failures = 1;
+    const { queue, delivered } = createTestQueue(async () => {
+      if (failures > 0) {
+        failures -= 1;
+        throw new Error('Slack is down');
+      }
+    }, { baseDelayMs: 200, maxDelayMs: 200 });
+    await queue.start();
+    await queue.enqueue({ n: 1 });
+    await waitFor(() => queue.retrying().length === 1);
+    const [retrying] = queue.retrying();
+    assert.strictEqual(retrying.attempts, 1);
+    assert.strictEqual(retrying.lastError, 'Slack is down');
+    assert.ok(retrying.nextAttemptAt > Date.now() - 50);
+
+    await waitFor(() => queue.size() === 0);
+    await queue.stop();
+    assert.deepStrictEqual(delivered, [1]);
+  },
+
+  'reschedules a rate-limited job without blocking later jobs or counting an attempt': async () => {
+    let limited = true;
+    const { queue, delivered } = createTestQueue(async (job) => {
+      if (job.payload.n === 1 && limited) {
+        limited = false;
+        throw rateLimited(300);
+      }
+    });
+    await queue.start();
+    await queue.enqueue({ n: 1 });
+    await queue.enqueue({ n: 2 });
+    await queue.enqueue({ n: 3 });
+
+    await waitFor(() => delivered.length === 2);
+    assert.deepStrictEqual(delivered, [2, 3]);
+    assert.deepStrictEqual(queue.retrying(), [], 'a rate limit is not a failed attempt');
+
+    await waitFor(() => queue.size() === 0);
+    await queue.stop();
+    assert.deepStrictEqual(delivered, [2, 3, 1]);
+  },
+
+  'delivers jobs put off until the same time in arrival order': async () => {
+    const readyAt = Date.now() + 100;
+    const { queue, delivered } = createTestQueue(async () => {
+      if (Date.now() < readyAt) {
+        const error = rateLimited(readyAt - Date.now());
+        error.deferred = true;
+        throw error;
+      }
+    });
+    await queue.start();
+    for (let n = 1; n <= 3; n++) {
+      await queue.enqueue({ n });
+    }
+    await waitFor(() => queue.size() === 0);
+    await queue.stop();
+    assert.deepStrictEqual(delivered, [1, 2, 3]);
+  },
+
+  'gives up on a permanent error right away': async () => {
+    const givenUp = [];
+    const { queue } = createTestQueue(async () => {
+      const error = new Error('invalid_blocks');
+      error.permanent = true;
+      throw error;
+    }, { maxAttempts: 5, onGiveUp: async (job) => givenUp.push(job) });
+    await queue.start();
+    await queue.enqueue({ n: 1 });
+    await waitFor(() => givenUp.length === 1);
+    await queue.stop();
+    assert.strictEqual(givenUp[0].attempts, 1);
+    assert.strictEqual(givenUp[0].lastError, 'invalid_blocks');
+    assert.strictEqual(queue.size(), 0);
+  },
+
+  'gives up after maxAttempts': async () => {
+    const givenUp = [];
+    const { queue } = createTestQueue(async () => {
+      throw new Error('Slack is down');
+    }, { maxAttempts: 3, onGiveUp: async (job) => givenUp.push(job) });
+    await queue.start();
+    await queue.enqueue({ n: 1 });
+    await waitFor(() => givenUp.length === 1);
+    await queue.stop();
+    assert.strictEqual(givenUp[0].attempts, 3);
+    assert.strictEqual(givenUp[0].errors.length, 3);
+  },
+
+  'drains jobs put off until before the timeout': async () => {
+    const readyAt = Date.now() + 100;
+    const dir = tempDir();
+    const { queue, delivered } = createTestQueue(async () => {
+      if (Date.now() < readyAt) {
+        const error = rateLimited(readyAt - Date.now());
+        error.deferred = true;
+        throw error;
+      }
+    }, { dir });
+    await queue.start();
+    await queue.enqueue({ n: 1 });
+    await sleep(20);
+    assert.strictEqual(await queue.drain(1000), 0);
+    assert.deepStrictEqual(delivered, [1]);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(file => path.extname(file) === '.json'), []);
+  },
+
+  'computes backoff within the jittered window': () => {
+    for (let attempts = 1; attempts <= 12; attempts++) {
+      const window = Math.min(60000, 1000 * Math.pow(2, attempts - 1));
+      const delay = computeBackoff(attempts, 1000, 60000);
+      assert.ok(delay >= window / 2 && delay <= window, `attempt ${attempts}: ${delay}ms outside ${window / 2}-${window}ms`);
+    }
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for digest buffering and flushing (utils/digest.js) and digest schedules
+ *
+ * Usage: node test/digest.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createDigestBuffer } = require('../utils/digest');
+const { parseSchedule, nextRun } = require('../utils/schedule');
+const { validateRoutingConfig } = require('../utils/routing');
+const { run, tempDir } = require('./harness');
+
+function event(dotNumber) {
+  return {
+    tenantId: 'default',
+    channel: 'mcp-alerts',
+    eventType: 'carrier.packet.completed',
+    schedule: 'daily',
+    timeZone: 'America/Chicago',
+    eventDateTime: new Date().toISOString(),
+    eventData: {
+      carrier: { dotNumber, legalName: `CARRIER ${dotNumber}` },
+      customer: { customerID: 6, companyName: 'MCP Test Customer' },
+      packetDetail: { packetType: 'Standard' }
+    }
+  };
+}
+
+// Buffer file holding the given events in one bucket that is already due
+async function overdueBufferFile(events) {
+  const file = path.join(tempDir(), 'digests.json');
+  const buffer = createDigestBuffer({ file, flush: async () => {} });
+  for (const entry of events) {
+    await buffer.add(entry);
+  }
+  const buckets = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.values(buckets).forEach(bucket => {
+    bucket.dueAt = new Date(Date.now() - 1000).toISOString();
+  });
+  fs.writeFileSync(file, JSON.stringify(buckets));
+  return file;
+}
+
+run('Digest', {
+  'buffers events in one bucket due at the next run of the schedule': async () => {
+    const file = path.join(tempDir(), 'digests.json');
+    const buffer = createDigestBuffer({ file, flush: async () => {} });
+    const bucket = await buffer.add(event(1));
+    await buffer.add(event(2));
+
+    assert.strictEqual(buffer.pending(), 2);
+    assert.strictEqual(bucket.dueAt, nextRun(parseSchedule('daily'), new Date(), 'America/Chicago').toISOString());
+    assert.deepStrictEqual(bucket.entries.map(entry => entry.carrier.dotNumber), [1, 2]);
+    // Only the carrier and customer are kept
+    assert.deepStrictEqual(Object.keys(bucket.entries[0]).sort(), ['carrier', 'customer', 'eventDateTime']);
+  },
+
+  'saves events added at the same time': async () => {
+    const file = path.join(tempDir(), 'digests.json');
+    const buffer = createDigestBuffer({ file, flush: async () => {} });
+    const dotNumbers = Array.from({ length: 30 }, (_, index) => index + 1);
+    await Promise.all(dotNumbers.map(dotNumber => buffer.add(event(dotNumber))));
+
+    const [bucket] = Object.values(JSON.parse(fs.readFileSync(file, 'utf8')));
+    assert.deepStrictEqual(bucket.entries.map(entry => entry.carrier.dotNumber), dotNumbers);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['digests.json']);
+  },
+
+  'flushes due buckets once and clears them': async () => {
+    const file = await overdueBufferFile([event(1), event(2)]);
+    const flushed = [];
+    const buffer = createDigestBuffer({ file, flush: async (bucket) => flushed.push(bucket) });
+    await buffer.start();
+    await buffer.stop();
+
+    assert.strictEqual(flushed.length, 1);
+    assert.deepStrictEqual(flushed[0].entries.map(entry => entry.carrier.dotNumber), [1, 2]);
+    assert.ok(flushed[0].until);
+    assert.strictEqual(buffer.pending(), 0);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+  },
+
+  'keeps events added while a digest is being flushed for the next one': async () => {
+    const file = await overdueBufferFile([event(1)]);
+    const flushed = [];
+    const buffer = createDigestBuffer({
+      file,
+      flush: async (bucket) => {
+        flushed.push(bucket.entries.map(entry => entry.carrier.dotNumber));
+        // Arrives while the digest is being queued
+        await buffer.add(event(2));
+      }
+    });
+    await buffer.start();
+    await buffer.stop();
+
+    assert.deepStrictEqual(flushed, [[1]]);
+    assert.strictEqual(buffer.pending(), 1);
+    const [bucket] = Object.values(JSON.parse(fs.readFileSync(file, 'utf8')));
+    assert.deepStrictEqual(bucket.entries.map(entry => entry.carrier.dotNumber), [2]);
+    assert.ok(Date.parse(bucket.dueAt) > Date.now(), 'the next digest is scheduled');
+  },
+
+  'keeps a bucket whose flush failed': async () => {
+    const file = await overdueBufferFile([event(1)]);
+    const buffer = createDigestBuffer({
+      file,
+      flush: async () => {
+        throw new Error('queue unavailable');
+      }
+    });
+    await buffer.start();
+    await buffer.stop();
+    assert.strictEqual(buffer.pending(), 1);
+  },
+
+  'tells schedules that run every month from ones that do not': () => {
+    ['daily', 'hourly', '0 8 * * 1-5', '0 8 28 * *', '0 8 31 * 1'].forEach(schedule => {
+      assert.strictEqual(parseSchedule(schedule).runsMonthly, true, schedule);
+    });
+    ['0 8 31 * *', '0 8 30 2 *', '0 8 1 1,4,7,10 *'].forEach(schedule => {
+      assert.strictEqual(parseSchedule(schedule).runsMonthly, false, schedule);
+    });
+  },
+
+  'rejects digest schedules that never run within a month at startup': () => {
+    const config = schedule => ({
+      rules: [],
+      deliveryModes: { 'carrier.packet.*': { mode: 'digest', schedule } }
+    });
+    assert.doesNotThrow(() => validateRoutingConfig(config('0 8 * * 1-5')));
+    assert.throws(() => validateRoutingConfig(config('0 8 30 2 *')), /must run at least once a month/);
+    assert.throws(() => validateRoutingConfig(config('0 8 * *')), /five-field cron expression/);
+  }
+});
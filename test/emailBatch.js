@@ -0,0 +1,59 @@
+/**
+ * Tests for email batching (utils/emailBatch.js)
+ *
+ * Usage: node test/emailBatch.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createEmailBatcher } = require('../utils/emailBatch');
+const { run, waitFor, tempDir } = require('./harness');
+
+function event(dotNumber, recipients = ['ops@example.com']) {
+  return {
+    tenantId: 'default',
+    recipients,
+    eventType: 'carrier.packet.completed',
+    eventDateTime: new Date().toISOString(),
+    eventData: { carrier: { dotNumber, legalName: `CARRIER ${dotNumber}` } }
+  };
+}
+
+run('Email batching', {
+  'batches events for the same recipients in any order or case': async () => {
+    const batcher = createEmailBatcher({ file: path.join(tempDir(), 'email.json'), flush: async () => {} });
+    const first = await batcher.add(event(1, ['ops@example.com', 'Safety@example.com']));
+    const second = await batcher.add(event(2, ['safety@example.com', 'OPS@example.com']));
+    await batcher.add(event(3, ['safety@example.com']));
+
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(first.recipients, ['ops@example.com', 'safety@example.com']);
+    assert.strictEqual(batcher.pending(), 3);
+  },
+
+  'saves events added at the same time': async () => {
+    const file = path.join(tempDir(), 'email.json');
+    const batcher = createEmailBatcher({ file, maxEvents: 100, flush: async () => {} });
+    const dotNumbers = Array.from({ length: 30 }, (_, index) => index + 1);
+    await Promise.all(dotNumbers.map(dotNumber => batcher.add(event(dotNumber))));
+
+    const [batch] = Object.values(JSON.parse(fs.readFileSync(file, 'utf8')));
+    assert.deepStrictEqual(batch.events.map(entry => entry.eventData.carrier.dotNumber), dotNumbers);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['email.json']);
+  },
+
+  'sends a full batch right away': async () => {
+    const file = path.join(tempDir(), 'email.json');
+    const flushed = [];
+    const batcher = createEmailBatcher({ file, maxEvents: 2, flush: async (batch) => flushed.push(batch) });
+    await batcher.add(event(1));
+    assert.deepStrictEqual(flushed, []);
+    await batcher.add(event(2));
+    await waitFor(() => flushed.length === 1);
+    await batcher.stop();
+
+    assert.deepStrictEqual(flushed[0].events.map(entry => entry.eventData.carrier.dotNumber), [1, 2]);
+    assert.strictEqual(batcher.pending(), 0);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for escaping MCP-supplied text per output format (utils/escape.js)
+ *
+ * Usage: node test/escape.js
+ */
+const assert = require('assert');
+const { escapeSlackText, escapeMrkdwn, escapeTeamsMarkdown, escapeHtml } = require('../utils/escape');
+const { formatSlackDate } = require('../utils/dates');
+const { run } = require('./harness');
+
+// Shows the zero-width spaces
+const visible = text => text.replace(/\u200B/g, '|');
+
+run('Escaping', {
+  'keeps mentions, links and entities out of Slack text': () => {
+    assert.strictEqual(escapeSlackText('<!channel> <https://x.test|click> R&D'), '&lt;!channel&gt; &lt;https://x.test|click&gt; R&amp;D');
+    assert.strictEqual(escapeSlackText(3424880), '3424880');
+  },
+
+  'breaks up formatting marks at the edge of a word in mrkdwn': () => {
+    assert.strictEqual(visible(escapeMrkdwn('*BEST* TRUCKING')), '|*|BEST|*| TRUCKING');
+    assert.strictEqual(visible(escapeMrkdwn('_late_ ~gone~ `code`')), '|_|late|_| |~|gone|~| |`|code|`|');
+    assert.strictEqual(escapeMrkdwn('<@U123>'), '&lt;@U123&gt;');
+  },
+
+  'leaves marks inside words and between spaces as they are': () => {
+    ['Acme_F', 'IR_2025_01', 'A*B Freight', 'a * b', 'ACME ~ SONS'].forEach(text => {
+      assert.strictEqual(escapeMrkdwn(text), text);
+    });
+  },
+
+  'escapes Teams Markdown and HTML': () => {
+    assert.strictEqual(escapeTeamsMarkdown('*[x](y)* _a\\b_'), '\\*\\[x\\](y)\\* \\_a\\\\b\\_');
+    assert.strictEqual(escapeHtml(`<a href="x">O'Neil & Co</a>`), '&lt;a href=&quot;x&quot;&gt;O&#39;Neil &amp; Co&lt;/a&gt;');
+  },
+
+  'escapes unreadable timestamps shown in Slack mrkdwn': () => {
+    assert.strictEqual(visible(formatSlackDate('<!channel> *now*')), '&lt;!channel&gt; |*|now|*|');
+    assert.match(formatSlackDate('2025-05-21T14:37:19Z'), /^<!date\^1747838239\^/);
+  }
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the local event log behind /mcp and the App Home (utils/eventLog.js)
+ *
+ * Usage: node test/eventLog.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createEventLog } = require('../utils/eventLog');
+const { webhookSamples } = require('./webhook');
+const { run, tempDir } = require('./harness');
+
+function sample(eventType, edit = () => {}) {
+  const payload = JSON.parse(JSON.stringify(webhookSamples[eventType]));
+  edit(payload.eventData);
+  return { tenantId: 'default', ...payload };
+}
+
+function incident(eventType, incidentReportID, status) {
+  return sample(eventType, eventData => {
+    eventData.incidentReportDetail.incidentReportID = incidentReportID;
+    eventData.incidentReportDetail.status = status;
+  });
+}
+
+run('Event log', {
+  'keeps only the event data fields lookups show': async () => {
+    const file = path.join(tempDir(), 'events.jsonl');
+    const log = createEventLog({ file });
+    const event = sample('carrier.incident_report.created', eventData => {
+      eventData.incidentReportDetail.notes = 'x'.repeat(10000);
+    });
+    const entry = await log.record(event);
+
+    assert.deepStrictEqual(Object.keys(entry.eventData).sort(), ['carrier', 'customer', 'incidentReportDetail']);
+    assert.strictEqual(entry.eventData.incidentReportDetail.incidentReportID, event.eventData.incidentReportDetail.incidentReportID);
+    assert.strictEqual(entry.eventData.incidentReportDetail.notes, undefined);
+    assert.strictEqual(entry.eventData.carrier.legalName, event.eventData.carrier.legalName);
+    assert.ok(fs.statSync(file).size < 1000);
+  },
+
+  'finds events for a carrier by DOT or MC number, newest first': async () => {
+    const log = createEventLog({ file: path.join(tempDir(), 'events.jsonl') });
+    await log.record(sample('carrier.packet.completed', eventData => {
+      eventData.carrier = { dotNumber: 1, docketNumber: 'MC100', legalName: 'ONE' };
+    }));
+    await log.record(sample('carrier.vin_verification.completed', eventData => {
+      eventData.carrier = { dotNumber: 1, docketNumber: 'MC100', legalName: 'ONE' };
+    }));
+    await log.record(sample('carrier.packet.completed', eventData => {
+      eventData.carrier = { dotNumber: 2, docketNumber: 'MC200', legalName: 'TWO' };
+    }));
+
+    assert.deepStrictEqual(log.forCarrier('1', 10).map(entry => entry.eventType), ['carrier.vin_verification.completed', 'carrier.packet.completed']);
+    assert.strictEqual(log.forCarrier('mc-100', 1).length, 1);
+    assert.deepStrictEqual(log.forCarrier('MC200', 10).map(entry => entry.eventData.carrier.legalName), ['TWO']);
+    assert.deepStrictEqual(log.recent(2).map(entry => entry.eventData.carrier.dotNumber), [2, 1]);
+  },
+
+  'lists incidents whose latest event is neither retracted nor closed': async () => {
+    const log = createEventLog({ file: path.join(tempDir(), 'events.jsonl') });
+    await log.record(incident('carrier.incident_report.created', 'A', 'New'));
+    await log.record(incident('carrier.incident_report.created', 'B', 'New'));
+    await log.record(incident('carrier.incident_report.created', 'C', 'New'));
+    await log.record(incident('carrier.incident_report.updated', 'A', 'In Progress'));
+    await log.record(incident('carrier.incident_report.updated', 'B', 'Closed'));
+    await log.record(incident('carrier.incident_report.retracted', 'C', 'New'));
+
+    const open = log.openIncidents();
+    assert.deepStrictEqual(open.map(entry => entry.eventData.incidentReportDetail.incidentReportID), ['A']);
+    assert.strictEqual(open[0].eventData.incidentReportDetail.status, 'In Progress');
+    assert.deepStrictEqual(log.countByType(Date.now() - 60000), {
+      'carrier.incident_report.created': 3,
+      'carrier.incident_report.updated': 2,
+      'carrier.incident_report.retracted': 1
+    });
+  },
+
+  'trims and drops old events of an existing log when loading it': () => {
+    const file = path.join(tempDir(), 'events.jsonl');
+    const full = sample('carrier.packet.completed');
+    const old = { receivedAt: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString(), ...full };
+    const kept = { receivedAt: new Date().toISOString(), ...full };
+    fs.writeFileSync(file, [old, kept].map(event => `${JSON.stringify(event)}\n`).join('') + '{"cut short');
+
+    const log = createEventLog({ file, maxAgeDays: 90 });
+    assert.strictEqual(log.size(), 1);
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    assert.strictEqual(lines.length, 1);
+    assert.deepStrictEqual(JSON.parse(lines[0]).eventData.packetDetail, { packetType: full.eventData.packetDetail.packetType });
+  }
+});
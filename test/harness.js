@@ -0,0 +1,86 @@
+/**
+ * Minimal runner for the unit test scripts in this directory (node test/<name>.js)
+ *
+ * Each script passes named test cases to run(); a case fails when it throws, e.g. from
+ * an `assert` call. Log output of the code under test is captured and only printed for
+ * failing cases. The process exits with code 1 when a case failed.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOG_METHODS = ['log', 'warn', 'error'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds
+ * @param {function} condition - Returns true once the wait is over
+ * @param {number} [timeoutMs] - Fail after this long
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await sleep(10);
+  }
+}
+
+/**
+ * Create an empty temporary directory, removed when the run ends
+ * @returns {string} - Directory path
+ */
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-alerts-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Run test cases one after the other and report the results
+ * @param {string} title - What is being tested
+ * @param {object} cases - Map of case name to (async) function
+ * @returns {Promise<boolean>} - true when every case passed
+ */
+async function run(title, cases) {
+  const original = Object.fromEntries(LOG_METHODS.map(method => [method, console[method]]));
+  let failed = 0;
+
+  original.log(title);
+  for (const [name, testCase] of Object.entries(cases)) {
+    const captured = [];
+    LOG_METHODS.forEach(method => {
+      console[method] = (...args) => captured.push(args);
+    });
+    try {
+      await testCase();
+      LOG_METHODS.forEach(method => {
+        console[method] = original[method];
+      });
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      LOG_METHODS.forEach(method => {
+        console[method] = original[method];
+      });
+      failed += 1;
+      console.log(`  ✗ ${name}`);
+      captured.forEach(args => console.log('      |', ...args));
+      console.log(`    ${error.stack}`);
+    }
+  }
+
+  if (failed > 0) {
+    console.log(`${failed} of ${Object.keys(cases).length} case(s) failed`);
+    process.exitCode = 1;
+  }
+  return failed === 0;
+}
+
+module.exports = {
+  run,
+  waitFor,
+  sleep,
+  tempDir
+};
@@ -0,0 +1,140 @@
+/**
+ * Tests for quiet hours and escalation policies (utils/policies.js), held alerts
+ * (utils/heldAlerts.js) and escalation tracking (utils/escalation.js)
+ *
+ * Usage: node test/policies.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createPolicies } = require('../utils/policies');
+const { createRouter } = require('../utils/routing');
+const { createHeldAlerts } = require('../utils/heldAlerts');
+const { createEscalationTracker } = require('../utils/escalation');
+const { run, waitFor, tempDir } = require('./harness');
+
+const POLICIES = {
+  'business-hours': {
+    quietHours: { start: '18:00', end: '08:00', timezone: 'America/Chicago', allDay: ['Sat', 'Sun'] },
+    critical: [{ eventType: 'carrier.incident_report.created' }],
+    escalation: { mention: '<!here>', repostAfterMinutes: 30 }
+  }
+};
+
+// Wednesday 2025-05-21 at the given Chicago time (UTC-5 in May)
+function chicago(time) {
+  return new Date(`2025-05-21T${time}:00-05:00`);
+}
+
+function alert(n) {
+  return { tenantId: 'default', policy: 'business-hours', payload: { channel: 'safety', n }, meta: { eventType: 'carrier.packet.completed' } };
+}
+
+function posted(ts) {
+  return { channel: 'C1', ts, payload: {}, meta: { tenantId: 'default', eventType: 'carrier.incident_report.created', escalation: { repostAfterMs: 60000, maxReposts: 2 } } };
+}
+
+run('Policies', {
+  'applies quiet hours across midnight and on whole days in the policy timezone': () => {
+    const policy = createPolicies(POLICIES).get('business-hours');
+    assert.strictEqual(policy.isQuiet(chicago('07:59')), true);
+    assert.strictEqual(policy.isQuiet(chicago('08:00')), false);
+    assert.strictEqual(policy.isQuiet(chicago('17:59')), false);
+    assert.strictEqual(policy.isQuiet(chicago('18:00')), true);
+    // Saturday noon in Chicago
+    assert.strictEqual(policy.isQuiet(new Date('2025-05-24T17:00:00Z')), true);
+  },
+
+  'falls back to the default timezone and fills in escalation defaults': () => {
+    const policy = createPolicies({ night: { quietHours: { start: '22:00', end: '23:00' }, escalation: {} } }, 'Europe/Berlin').get('night');
+    assert.strictEqual(policy.isQuiet(new Date('2025-05-21T20:30:00Z')), true);
+    assert.strictEqual(policy.isQuiet(new Date('2025-05-21T22:30:00Z')), false);
+    assert.deepStrictEqual(policy.escalation, { mention: null, repostAfterMinutes: null, maxReposts: 3 });
+  },
+
+  'marks events matching a critical entry as critical': () => {
+    const policy = createPolicies(POLICIES).get('business-hours');
+    assert.strictEqual(policy.isCritical('carrier.incident_report.created', {}), true);
+    assert.strictEqual(policy.isCritical('carrier.incident_report.updated', {}), false);
+  },
+
+  'rejects invalid policies': () => {
+    assert.throws(() => createPolicies({ p: { quietHours: { start: '25:00', end: '08:00' } } }), /Policy "p" quietHours.start must be a time of day/);
+    assert.throws(() => createPolicies({ p: { quietHours: { start: '18:00' } } }), /needs both "start" and "end"/);
+    assert.throws(() => createPolicies({ p: { quietHours: { allDay: ['Someday'] } } }), /unknown day "Someday"/);
+  },
+
+  'attaches the policy of the first rule that added a channel': () => {
+    const router = createRouter({
+      policies: POLICIES,
+      defaultChannels: ['mcp-alerts'],
+      defaultPolicy: 'business-hours',
+      rules: [
+        { name: 'safety', match: { eventType: 'carrier.incident_report.*' }, channels: ['safety'], policy: 'business-hours' },
+        { name: 'all-incidents', match: { eventType: 'carrier.incident_report.*' }, channels: ['safety', 'ops'] }
+      ]
+    });
+    assert.deepStrictEqual(router.route('carrier.incident_report.created', {}).policies, { safety: 'business-hours' });
+    assert.deepStrictEqual(router.route('carrier.packet.completed', {}).policies, { 'mcp-alerts': 'business-hours' });
+    assert.strictEqual(router.policy('business-hours').name, 'business-hours');
+    assert.throws(() => createRouter({ rules: [{ channels: ['x'], policy: 'nope' }] }), /unknown policy "nope"/);
+  },
+
+  'holds alerts arriving at the same time and releases them in order': async () => {
+    const file = path.join(tempDir(), 'held.json');
+    let quiet = true;
+    const released = [];
+    const held = createHeldAlerts({ file, isQuiet: () => quiet, release: async (entry) => released.push(entry.payload.n) });
+    await Promise.all([1, 2, 3, 4, 5].map(n => held.hold(alert(n))));
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).length, 5);
+
+    await held.start();
+    assert.deepStrictEqual(released, []);
+    quiet = false;
+    await held.start();
+    await held.stop();
+    assert.deepStrictEqual(released, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), []);
+  },
+
+  'tracks critical alerts until a reaction acknowledges them': async () => {
+    const file = path.join(tempDir(), 'escalation.json');
+    const tracker = createEscalationTracker({ file, repost: async () => {} });
+    const [first] = await Promise.all([tracker.track(posted('1.0')), tracker.track(posted('2.0')), tracker.track(posted('3.0'))]);
+    await tracker.track({ ...posted('1.1'), id: first.id });
+
+    const [acknowledged] = await Promise.all([tracker.acknowledge('C1', '1.1', 'U1'), tracker.track(posted('4.0'))]);
+    assert.strictEqual(acknowledged.id, first.id);
+    assert.strictEqual(acknowledged.acknowledgedBy, 'U1');
+    assert.strictEqual(await tracker.acknowledge('C1', '1.0'), null);
+    assert.strictEqual(tracker.pending(), 3);
+    assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).length, 3);
+  },
+
+  're-posts unacknowledged alerts and gives up after maxReposts': async () => {
+    const file = path.join(tempDir(), 'escalation.json');
+    const reposts = [];
+    const tracker = createEscalationTracker({ file, repost: async (entry, n) => reposts.push(n) });
+    const tracked = await tracker.track(posted('1.0'));
+    const overdue = () => {
+      const alerts = JSON.parse(fs.readFileSync(file, 'utf8'));
+      alerts[tracked.id].postedAt = new Date(Date.now() - 120000).toISOString();
+      return alerts;
+    };
+    // Restarted trackers see the alert as overdue
+    fs.writeFileSync(file, JSON.stringify(overdue()));
+    const restarted = createEscalationTracker({ file, repost: async (entry, n) => reposts.push(n) });
+    await restarted.start();
+    await restarted.stop();
+    assert.deepStrictEqual(reposts, [1]);
+
+    const alerts = overdue();
+    alerts[tracked.id].reposts = 2;
+    fs.writeFileSync(file, JSON.stringify(alerts));
+    const exhausted = createEscalationTracker({ file, repost: async (entry, n) => reposts.push(n) });
+    await exhausted.start();
+    await waitFor(() => exhausted.pending() === 0);
+    await exhausted.stop();
+    assert.deepStrictEqual(reposts, [1]);
+  }
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the shared Slack rate limiter (utils/rateLimiter.js)
+ *
+ * Usage: node test/rateLimiter.js
+ */
+const assert = require('assert');
+const { createRateLimiter, getRetryAfterMs } = require('../utils/rateLimiter');
+const { createDeliveryQueue } = require('../utils/deliveryQueue');
+const { run, waitFor, sleep, tempDir } = require('./harness');
+
+run('Rate limiter', {
+  'spaces posts to the same channel but not to different ones': () => {
+    const limiter = createRateLimiter({ channelIntervalMs: 1000 });
+    assert.strictEqual(limiter.acquire('C1'), 0);
+    const wait = limiter.acquire('C1');
+    assert.ok(wait > 900 && wait <= 1000, `waits ${wait}ms`);
+    // Asking again doesn't reserve anything
+    assert.ok(limiter.acquire('C1') <= wait);
+    assert.strictEqual(limiter.acquire('C2'), 0);
+  },
+
+  'reserves the next slot once the interval has passed': async () => {
+    const limiter = createRateLimiter({ channelIntervalMs: 50 });
+    assert.strictEqual(limiter.acquire('C1'), 0);
+    await sleep(60);
+    assert.strictEqual(limiter.acquire('C1'), 0);
+    assert.ok(limiter.acquire('C1') > 0);
+  },
+
+  'holds every channel after a rate limit': () => {
+    const limiter = createRateLimiter({ channelIntervalMs: 10 });
+    assert.strictEqual(limiter.status().heldUntil, null);
+    limiter.pause(5000);
+    const wait = limiter.acquire('C2');
+    assert.ok(wait > 4900 && wait <= 5000, `waits ${wait}ms`);
+    assert.ok(Date.parse(limiter.status().heldUntil) > Date.now());
+    // A shorter Retry-After doesn't cut the hold short
+    limiter.pause(1000);
+    assert.ok(limiter.acquire('C3') > 4900);
+  },
+
+  'reads Retry-After from either transport': () => {
+    assert.strictEqual(getRetryAfterMs({ code: 'slack_webapi_rate_limited_error', retryAfter: 30 }), 30000);
+    assert.strictEqual(getRetryAfterMs({ success: false, statusCode: 429, retryAfter: 2 }), 2000);
+    assert.strictEqual(getRetryAfterMs({ statusCode: 429 }), 1000);
+    assert.strictEqual(getRetryAfterMs({ statusCode: 500, retryAfter: 2 }), null);
+    assert.strictEqual(getRetryAfterMs(new Error('socket hang up')), null);
+    assert.strictEqual(getRetryAfterMs(undefined), null);
+  },
+
+  'lets the queue deliver to other channels while one is paced': async () => {
+    const limiter = createRateLimiter({ channelIntervalMs: 150 });
+    const delivered = [];
+    const queue = createDeliveryQueue({
+      dir: tempDir(),
+      pollIntervalMs: 10,
+      deliver: async (job) => {
+        const waitMs = limiter.acquire(job.payload.channel);
+        if (waitMs > 0) {
+          const error = new Error(`Pacing posts to ${job.payload.channel}`);
+          error.retryAfterMs = waitMs;
+          error.deferred = true;
+          throw error;
+        }
+        delivered.push({ n: job.payload.n, channel: job.payload.channel, at: Date.now() });
+      }
+    });
+    await queue.start();
+    await queue.enqueue({ n: 1, channel: 'C1' });
+    await queue.enqueue({ n: 2, channel: 'C1' });
+    await queue.enqueue({ n: 3, channel: 'C1' });
+    await queue.enqueue({ n: 4, channel: 'C2' });
+    await waitFor(() => queue.size() === 0);
+    await queue.stop();
+
+    assert.deepStrictEqual(delivered.map(entry => entry.n), [1, 4, 2, 3]);
+    const paced = delivered.filter(entry => entry.channel === 'C1');
+    assert.ok(paced[1].at - paced[0].at >= 140 && paced[2].at - paced[1].at >= 140, 'C1 posts are spaced');
+    assert.deepStrictEqual(queue.retrying(), [], 'pacing is not a failed attempt');
+  }
+});
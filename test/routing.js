@@ -0,0 +1,95 @@
+/**
+ * Tests for rule-based routing (utils/routing.js, utils/eventMatch.js)
+ *
+ * Usage: node test/routing.js
+ */
+const assert = require('assert');
+const { createRouter, validateRoutingConfig } = require('../utils/routing');
+const { run } = require('./harness');
+
+const packet = {
+  carrier: { dotNumber: 3424880, docketNumber: 'MC1165397', legalName: 'ACME TRUCKING' },
+  customer: { customerID: 2168, companyName: 'Linehaul' }
+};
+
+const config = {
+  defaultChannels: ['mcp-alerts'],
+  rules: [
+    { name: 'safety', match: { eventType: 'carrier.incident_report.*' }, channels: ['safety'] },
+    { name: 'onboarding', match: { eventType: 'carrier.packet.completed' }, channels: ['onboarding'] },
+    { name: 'linehaul', match: { customerID: '2168' }, channels: ['cust-linehaul', 'onboarding'], stop: true },
+    { name: 'watchlist', match: { dotNumber: 3424880 }, channels: ['watchlist'] }
+  ],
+  deliveryModes: {
+    'carrier.packet.*': { mode: 'digest', schedule: 'daily' }
+  }
+};
+
+run('Routing', {
+  'fans out to every matching rule in order until a stop rule': () => {
+    const router = createRouter(config);
+    assert.deepStrictEqual(router.route('carrier.packet.completed', packet), {
+      channels: ['onboarding', 'cust-linehaul'],
+      teams: [],
+      email: [],
+      rules: ['onboarding', 'linehaul'],
+      policies: {}
+    });
+  },
+
+  'sends events no rule matched to the default channels': () => {
+    const router = createRouter(config);
+    const routed = router.route('carrier.user_verification.completed', { carrier: { dotNumber: 1 }, customer: { customerID: 6 } });
+    assert.deepStrictEqual(routed.channels, ['mcp-alerts']);
+    assert.deepStrictEqual(routed.rules, ['default']);
+  },
+
+  'matches DOT and docket numbers, field values and event type patterns': () => {
+    const router = createRouter({
+      rules: [
+        { name: 'dot', match: { dotNumber: ['1', '3424880'] }, channels: ['dot'] },
+        { name: 'docket', match: { docketNumber: 'mc-1165397' }, channels: ['docket'] },
+        { name: 'status', match: { eventType: 'carrier.incident_report.*', fields: { 'incidentReportDetail.status': 'New' } }, channels: ['status'] }
+      ]
+    });
+    assert.deepStrictEqual(router.route('carrier.packet.completed', packet).channels, ['dot', 'docket']);
+    const incident = { ...packet, carrier: {}, incidentReportDetail: { status: 'New' } };
+    assert.deepStrictEqual(router.route('carrier.incident_report.created', incident).channels, ['status']);
+    assert.deepStrictEqual(router.route('carrier.packet.completed', incident).channels, []);
+  },
+
+  'picks the delivery mode of the first matching pattern': () => {
+    const router = createRouter(config);
+    assert.deepStrictEqual(router.deliveryMode('carrier.packet.completed'), { mode: 'digest', schedule: 'daily' });
+    assert.deepStrictEqual(router.deliveryMode('carrier.incident_report.created'), { mode: 'immediate' });
+  },
+
+  'emails the addresses of matching rules, or the default ones': () => {
+    const router = createRouter({
+      defaultChannels: ['mcp-alerts'],
+      defaultEmail: ['ops@example.com'],
+      rules: [
+        { name: 'safety', match: { eventType: 'carrier.incident_report.*' }, email: ['safety@example.com'] },
+        { name: 'linehaul', match: { customerID: 2168 }, channels: ['cust-linehaul'], email: ['safety@example.com', 'linehaul@example.com'] }
+      ]
+    });
+    const routed = router.route('carrier.incident_report.created', packet);
+    assert.deepStrictEqual(routed.channels, ['cust-linehaul']);
+    assert.deepStrictEqual(routed.email, ['safety@example.com', 'linehaul@example.com']);
+    assert.deepStrictEqual(router.route('carrier.packet.completed', { customer: { customerID: 6 } }).email, ['ops@example.com']);
+  },
+
+  'rejects invalid email recipients': () => {
+    assert.throws(() => validateRoutingConfig({ rules: [{ name: 'ops', email: 'ops@example.com' }] }), /Routing rule "ops" "email" must be an array of email addresses/);
+    assert.throws(() => validateRoutingConfig({ rules: [{ name: 'ops', email: ['ops@example.com', 'ops'] }] }), /invalid email address\(es\): ops\./);
+    assert.throws(() => validateRoutingConfig({ rules: [], defaultEmail: ['<ops@example.com>'] }), /Routing "defaultEmail" has invalid email address/);
+    assert.doesNotThrow(() => validateRoutingConfig({ rules: [{ name: 'ops', email: ['ops@example.com'] }] }));
+  },
+
+  'rejects invalid configurations with the rule at fault': () => {
+    assert.throws(() => validateRoutingConfig({ rules: {} }), /"rules" must be an array/);
+    assert.throws(() => validateRoutingConfig({ rules: [{ name: 'empty', channels: [] }] }), /Routing rule "empty" must list at least one/);
+    assert.throws(() => validateRoutingConfig({ rules: [{ match: { carrier: 1 }, channels: ['x'] }] }), /Routing rule #1 has unknown match key\(s\): carrier/);
+    assert.throws(() => validateRoutingConfig({ rules: [], deliveryModes: { 'carrier.*': { mode: 'weekly' } } }), /must be one of: immediate, digest/);
+  }
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for webhook payload validation (utils/schemas.js)
+ *
+ * Usage: node test/schemas.js
+ */
+const assert = require('assert');
+const { validatePayload } = require('../utils/schemas');
+const { webhookSamples } = require('./webhook');
+const { run } = require('./harness');
+
+// Deep copy of a sample payload, changed by edit
+function sample(eventType, edit = () => {}) {
+  const payload = JSON.parse(JSON.stringify(webhookSamples[eventType]));
+  edit(payload);
+  return payload;
+}
+
+run('Payload validation', {
+  'accepts the sample payload of every supported event type': () => {
+    Object.keys(webhookSamples).forEach(eventType => {
+      assert.deepStrictEqual(validatePayload(sample(eventType)), [], eventType);
+    });
+  },
+
+  'reports missing common fields': () => {
+    const errors = validatePayload(sample('carrier.packet.completed', payload => {
+      delete payload.eventData.customer;
+      delete payload.eventData.carrier.legalName;
+    }));
+    assert.deepStrictEqual(errors, [
+      { field: 'eventData.customer', message: 'is required' },
+      { field: 'eventData.carrier.legalName', message: 'is required' }
+    ]);
+  },
+
+  'reports the detail object an event type depends on': () => {
+    const errors = validatePayload(sample('carrier.incident_report.created', payload => {
+      delete payload.eventData.incidentReportDetail.incidentReportID;
+    }));
+    assert.deepStrictEqual(errors.map(error => error.field), ['eventData.incidentReportDetail.incidentReportID']);
+  },
+
+  'accepts IDs as numbers or strings of digits and null optional fields': () => {
+    const errors = validatePayload(sample('carrier.packet.completed', payload => {
+      payload.eventData.carrier.dotNumber = '9999997';
+      payload.eventData.customer.customerID = 6;
+      payload.eventData.carrier.dbaName = null;
+    }));
+    assert.deepStrictEqual(errors, []);
+  },
+
+  'rejects IDs that are not digits': () => {
+    const errors = validatePayload(sample('carrier.packet.completed', payload => {
+      payload.eventData.carrier.dotNumber = 'DOT 123';
+    }));
+    assert.deepStrictEqual(errors, [{ field: 'eventData.carrier.dotNumber', message: 'must be a number or a string of digits' }]);
+  },
+
+  'only checks the common fields of unknown event types': () => {
+    const payload = sample('carrier.packet.completed', body => {
+      body.eventType = 'carrier.something.new';
+      body.eventData.somethingDetail = { anything: true };
+    });
+    assert.deepStrictEqual(validatePayload(payload), []);
+  },
+
+  'accepts ISO 8601 and lenient MCP timestamps': () => {
+    ['2025-05-21T14:37:19Z', '2025-05-21T14:37:19.123+02:00', '2025-05-21T14:37:19-0500', '2025-05-21 14:37', '2025-05-21', '2025-05-21T14:37:19.3NZ'].forEach(eventDateTime => {
+      assert.deepStrictEqual(validatePayload(sample('carrier.packet.completed', payload => {
+        payload.eventDateTime = eventDateTime;
+      })), [], eventDateTime);
+    });
+  },
+
+  'rejects timestamps that are not ISO 8601 dates and times': () => {
+    [1747838239000, '1', '<!channel> 2025', 'May 21 2025', 'yesterday', '2025-02-30T08:00:00Z', '2025-05-21T25:00:00Z', '2025-05-21T14:37:19.3<!here>Z'].forEach(eventDateTime => {
+      assert.deepStrictEqual(validatePayload(sample('carrier.packet.completed', payload => {
+        payload.eventDateTime = eventDateTime;
+      })), [{ field: 'eventDateTime', message: 'must be an ISO 8601 date and time' }], eventDateTime);
+    });
+  }
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for declarative message templates (utils/templates.js) and the Slack messages
+ * rendered from them (utils/formatters.js)
+ *
+ * Usage: node test/templates.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadTemplates, validateTemplate, renderSegments, renderText, testCondition, resolveCases } = require('../utils/templates');
+const { formatSlackMessage } = require('../utils/formatters');
+const { webhookSamples } = require('./webhook');
+const { run, tempDir } = require('./harness');
+
+const scope = {
+  eventData: {
+    carrier: { dotNumber: 3424880, legalName: 'ACME <b>' },
+    incidentReportDetail: { status: 'New', reason: '' }
+  },
+  vars: { eventType: 'carrier.incident_report.created' }
+};
+
+const MINIMAL = {
+  eventType: 'carrier.packet.completed',
+  header: 'Packet for {{ carrier.legalName }}',
+  severity: 'success',
+  blocks: [{ type: 'header' }]
+};
+
+run('Templates', {
+  'loads a valid built-in template for every sample event type and a default': () => {
+    const templates = loadTemplates();
+    assert.ok(templates.has('*'));
+    Object.keys(webhookSamples).forEach(eventType => assert.ok(templates.has(eventType), eventType));
+  },
+
+  'replaces built-in templates with overrides of the same event type': () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'packet.json'), JSON.stringify(MINIMAL));
+    const templates = loadTemplates(dir);
+    assert.strictEqual(templates.get('carrier.packet.completed').header, MINIMAL.header);
+    assert.ok(templates.get('carrier.incident_report.created'));
+  },
+
+  'escapes event data but not the template text': () => {
+    const escape = text => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    assert.strictEqual(renderText('<b>{{ carrier.legalName }}</b> ({{ carrier.dotNumber }})', scope, { escape }), '<b>ACME &lt;b&gt;</b> (3424880)');
+    assert.deepStrictEqual(renderSegments('DOT {{ carrier.dotNumber }}', scope), [
+      { text: 'DOT ', trusted: true },
+      { text: '3424880' }
+    ]);
+  },
+
+  'applies default, prefix and suffix filters and variables': () => {
+    assert.strictEqual(renderText('{{ incidentReportDetail.reason | default "none" }}', scope), 'none');
+    assert.strictEqual(renderText('{{ carrier.docketNumber | default carrier.dotNumber }}', scope), '3424880');
+    assert.strictEqual(renderText('{{ incidentReportDetail.status | prefix "(" | suffix ")" }}', scope), '(New)');
+    assert.strictEqual(renderText('x{{ incidentReportDetail.reason | prefix "(" }}x', scope), 'xx');
+    assert.strictEqual(renderText('{{ $eventType }}', scope), 'carrier.incident_report.created');
+  },
+
+  'formats dates and shows unreadable ones as received': () => {
+    const dateScope = { eventData: { at: '2025-05-21T14:37:19Z', bad: 'soon' }, vars: {} };
+    const options = { formatDate: date => date.toISOString(), escape: text => `[${text}]` };
+    assert.strictEqual(renderText('{{ at | date }}', dateScope, options), '2025-05-21T14:37:19.000Z');
+    assert.strictEqual(renderText('{{ bad | date }}', dateScope, options), '[soon]');
+    assert.strictEqual(renderText('{{ missing | date }}', dateScope, options), '');
+  },
+
+  'evaluates conditions and cases': () => {
+    assert.strictEqual(testCondition(undefined, scope), true);
+    assert.strictEqual(testCondition({ path: 'incidentReportDetail.status', equals: 'New' }, scope), true);
+    assert.strictEqual(testCondition({ path: 'incidentReportDetail.status', in: ['Closed'] }, scope), false);
+    assert.strictEqual(testCondition({ path: 'incidentReportDetail.reason' }, scope), false);
+    const severity = { default: 'info', cases: [{ if: { path: 'incidentReportDetail.status', equals: 'New' }, value: 'danger' }] };
+    assert.strictEqual(resolveCases(severity, scope), 'danger');
+    assert.strictEqual(resolveCases('warning', scope), 'warning');
+  },
+
+  'rejects invalid templates with the place of the problem': () => {
+    assert.throws(() => validateTemplate({ ...MINIMAL, header: '{{ carrier.legalName | upper }}' }, 'T'), /T "header" has an unknown filter "upper"/);
+    assert.throws(() => validateTemplate({ ...MINIMAL, severity: undefined }, 'T'), /T needs a "severity" or a "color"/);
+    assert.throws(() => validateTemplate({ ...MINIMAL, blocks: [{ type: 'table' }] }, 'T'), /T block 1 has unknown type "table"/);
+    assert.throws(() => validateTemplate({ ...MINIMAL, blocks: [{ type: 'actions', elements: [{ type: 'button', text: 'Go', url: 'x', style: 'loud' }] }] }, 'T'),
+      /T block 1 element 1 "style" must be one of: primary, danger/);
+  },
+
+  'renders the standard packet alert from its template': () => {
+    const sample = webhookSamples['carrier.packet.completed'];
+    const eventData = { ...sample.eventData, carrier: { ...sample.eventData.carrier, legalName: 'ACME <!channel> & SONS' } };
+    const message = formatSlackMessage(sample.eventType, sample.eventDateTime, eventData, { tenantName: 'West' });
+
+    assert.deepStrictEqual(message.blocks.map(block => block.type), ['header', 'divider', 'section', 'section', 'section', 'context', 'actions']);
+    assert.strictEqual(message.blocks[0].text.text, '🎉 Carrier Packet Completed');
+    assert.strictEqual(message.blocks[2].fields[0].text, '*Carrier:* ACME &lt;!channel&gt; &amp; SONS ');
+    assert.strictEqual(message.blocks[3].fields[0].text, '*Packet Type:* Standard');
+    assert.match(message.blocks[3].fields[1].text, /^\*Completion Date:\* <!date\^\d+\^/);
+    assert.strictEqual(message.attachments[0].color, '#36C5F0');
+    assert.strictEqual(message.fallbackText, `[West] 🎉 Carrier Packet Completed - ACME &lt;!channel&gt; &amp; SONS (DOT: ${sample.eventData.carrier.dotNumber})`);
+  }
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for VIN decoding and check digits (utils/vin.js)
+ *
+ * Usage: node test/vin.js
+ */
+const assert = require('assert');
+const { decodeVin, decodeModelYear, computeCheckDigit } = require('../utils/vin');
+const { run } = require('./harness');
+
+run('VIN decoding', {
+  'accepts a North American VIN with a matching check digit': () => {
+    const decoded = decodeVin('1M8GDM9AXKP042788');
+    assert.strictEqual(decoded.wellFormed, true);
+    assert.strictEqual(decoded.checkDigitChecked, true);
+    assert.strictEqual(decoded.checkDigit, 'X');
+    assert.strictEqual(decoded.expectedCheckDigit, 'X');
+    assert.strictEqual(decoded.checkDigitValid, true);
+    assert.strictEqual(decoded.region, 'United States');
+    assert.strictEqual(decoded.modelYear, 2019);
+  },
+
+  'names the manufacturer and region from the WMI': () => {
+    const decoded = decodeVin(' 3akjgld55esfw7639 ');
+    assert.strictEqual(decoded.vin, '3AKJGLD55ESFW7639');
+    assert.strictEqual(decoded.checkDigitValid, true);
+    assert.strictEqual(decoded.manufacturer, 'Freightliner');
+    assert.strictEqual(decoded.region, 'Mexico');
+    assert.strictEqual(decoded.modelYear, 2014);
+  },
+
+  'reports a check digit mismatch with the expected digit': () => {
+    const decoded = decodeVin('1M8GDM95XKP042788');
+    assert.strictEqual(decoded.wellFormed, true);
+    assert.strictEqual(decoded.checkDigit, 'X');
+    assert.strictEqual(decoded.expectedCheckDigit, '6');
+    assert.strictEqual(decoded.checkDigitValid, false);
+  },
+
+  'does not check the check digit of VINs from outside North America': () => {
+    const decoded = decodeVin('WDB9634031L123456');
+    assert.strictEqual(decoded.wellFormed, true);
+    assert.strictEqual(decoded.checkDigitChecked, false);
+    assert.strictEqual(decoded.expectedCheckDigit, null);
+    assert.strictEqual(decoded.checkDigitValid, null);
+    assert.strictEqual(decoded.manufacturer, 'Mercedes-Benz');
+    assert.strictEqual(decoded.region, 'Europe');
+    assert.strictEqual(decoded.modelYear, 2001);
+  },
+
+  'lists the problems of a malformed VIN': () => {
+    const decoded = decodeVin('1M8GDM9AOKP04278!');
+    assert.strictEqual(decoded.wellFormed, false);
+    assert.deepStrictEqual(decoded.problems, ['has characters other than letters and digits', 'contains I, O or Q']);
+    assert.strictEqual(decoded.checkDigitChecked, null);
+    assert.strictEqual(decoded.checkDigitValid, null);
+
+    assert.strictEqual(decodeVin('ABC').problem, 'has 3 characters instead of 17');
+  },
+
+  'returns null without a VIN': () => {
+    [undefined, null, '', '   '].forEach(value => assert.strictEqual(decodeVin(value), null));
+  },
+
+  'computes check digits': () => {
+    assert.strictEqual(computeCheckDigit('1M8GDM9AXKP042788'), 'X');
+    assert.strictEqual(computeCheckDigit('3AKJGLD55ESFW7639'), '5');
+    assert.strictEqual(computeCheckDigit('1M8GDM95XKP042788'), '6');
+  },
+
+  'takes the latest model year of the 30-year cycle': () => {
+    assert.strictEqual(decodeModelYear('A', 2026), 2010);
+    assert.strictEqual(decodeModelYear('Y', 2026), 2000);
+    assert.strictEqual(decodeModelYear('T', 2026), 2026);
+    assert.strictEqual(decodeModelYear('V', 2026), 1997);
+    assert.strictEqual(decodeModelYear('U', 2026), null);
+  }
+});
@@ -0,0 +1,153 @@
+/**
+ * @module utils/adminApi
+ * @description Authenticated admin endpoints for operating mcp-alerts.
+ *
+ * Every route requires `Authorization: Bearer <ADMIN_API_TOKEN>`. When no token is
+ * configured the admin API is disabled and every route answers 404.
+ *
+ * Routes (mounted under `/admin`):
+ * - `GET    /dead-letters`            List parked deliveries
+ * - `GET    /dead-letters/:id`        Inspect one, including the raw body and transport errors
+ * - `POST   /dead-letters/:id/replay` Re-queue one for delivery
+ * - `POST   /dead-letters/replay`     Re-queue all of them
+ * - `DELETE /dead-letters/:id`        Discard one
+ * - `GET    /audit`                   Incident triage audit trail (`?incident=<id>&limit=<n>`)
+ * - `GET    /outbound`                Delivery status of the outbound webhook targets
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Express middleware that checks the bearer token in constant time
+ * @param {string} token - The expected admin token
+ * @returns {function} - Express middleware
+ */
+function requireAdminToken(token) {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(404).send('Admin API disabled.');
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const received = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+    if (!match || !crypto.timingSafeEqual(expected, received)) {
+      console.warn(`[Admin API] Unauthorized ${req.method} ${req.originalUrl} from IP: ${req.ip}`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
+/**
+ * Create the admin router
+ * @param {object} options - Router dependencies
+ * @param {string} options.token - Admin bearer token (ADMIN_API_TOKEN)
+ * @param {object} options.deadLetters - Dead-letter store (utils/deadLetters.js)
+ * @param {object} options.deliveryQueue - Delivery queue used for replays (utils/deliveryQueue.js)
+ * @param {object} [options.auditLog] - Incident triage audit log (utils/auditLog.js)
+ * @param {function} [options.outboundStatus] - Returns the delivery status of each outbound webhook target
+ * @returns {object} - Express router
+ */
+function createAdminRouter({ token, deadLetters, deliveryQueue, auditLog, outboundStatus }) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(token));
+
+  async function replay(entry) {
+    const job = await deliveryQueue.enqueue(entry.payload, {
+      ...entry.meta,
+      replayOf: entry.id,
+      replayedAt: new Date().toISOString()
+    });
+    await deadLetters.remove(entry.id);
+    console.log(`[Admin API] Replayed dead letter ${entry.id} as job ${job.id}`);
+    return { id: entry.id, jobId: job.id };
+  }
+
+  router.get('/dead-letters', async (req, res, next) => {
+    try {
+      res.json({ deadLetters: await deadLetters.list() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/dead-letters/replay', async (req, res, next) => {
+    try {
+      const replayed = [];
+      for (const { id } of await deadLetters.list()) {
+        const entry = await deadLetters.get(id);
+        if (entry) {
+          replayed.push(await replay(entry));
+        }
+      }
+      res.status(202).json({ replayed });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/dead-letters/:id', async (req, res, next) => {
+    try {
+      const entry = await deadLetters.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/dead-letters/:id/replay', async (req, res, next) => {
+    try {
+      const entry = await deadLetters.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      res.status(202).json({ replayed: [await replay(entry)] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/dead-letters/:id', async (req, res, next) => {
+    try {
+      if (!await deadLetters.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      console.log(`[Admin API] Discarded dead letter ${req.params.id}`);
+      res.json({ discarded: req.params.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/audit', (req, res) => {
+    if (!auditLog) {
+      return res.status(404).json({ error: 'Audit log not available' });
+    }
+    res.json({
+      entries: auditLog.list({
+        incidentReportID: req.query.incident,
+        limit: parseInt(req.query.limit, 10) || undefined
+      })
+    });
+  });
+
+  router.get('/outbound', (req, res) => {
+    if (!outboundStatus) {
+      return res.status(404).json({ error: 'Outbound webhooks not available' });
+    }
+    res.json({ targets: outboundStatus() });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  requireAdminToken
+};
@@ -0,0 +1,210 @@
+/**
+ * @module utils/appHome
+ * @description App Home dashboard: Socket Mode status, event counts, open incidents and
+ * recent delivery failures, published with `views.publish` whenever a user opens the
+ * Home tab (or presses Refresh).
+ */
+const { formatCarrierName, EVENT_LABELS } = require('./formatters');
+const { formatSlackDate } = require('./dates');
+const { escapeMrkdwn } = require('./escape');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INCIDENTS = 5;
+const MAX_FAILURES = 5;
+const MAX_ERROR_LENGTH = 150;
+const REFRESH_ACTION = 'app_home_refresh';
+
+function header(text) {
+  return {
+    type: "header",
+    text: {
+      type: "plain_text",
+      text,
+      emoji: true
+    }
+  };
+}
+
+function section(text) {
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text
+    }
+  };
+}
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * Build the Home tab view
+ * @param {object} state - Current state
+ * @param {boolean} state.socketModeConnected - Whether Socket Mode is connected
+ * @param {number} state.queued - Alerts waiting in the delivery queue
+ * @param {object} state.last24h - Event counts by type over the last 24 hours
+ * @param {object} state.last7d - Event counts by type over the last 7 days
+ * @param {Array<object>} state.openIncidents - Latest event log entry of each open incident
+ * @param {Array<object>} state.deadLetters - Dead-letter summaries, newest first
+ * @param {Array<object>} state.retrying - Queued jobs waiting for a retry
+ * @param {function} [state.tenantNameOf] - Returns the MCP account name of an entry, or null
+ * @returns {object} - Home tab view
+ */
+function buildHomeView({ socketModeConnected, queued, last24h, last7d, openIncidents, deadLetters, retrying, tenantNameOf = () => null }) {
+  const blocks = [
+    header('📊 MCP Alerts'),
+    {
+      type: "section",
+      fields: [
+        {
+          type: "mrkdwn",
+          text: `*Socket Mode:* ${socketModeConnected ? '🟢 Connected' : '🔴 Disconnected (using webhook fallback)'}`
+        },
+        {
+          type: "mrkdwn",
+          text: `*Delivery queue:* ${queued} pending`
+        }
+      ]
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: REFRESH_ACTION,
+          text: {
+            type: "plain_text",
+            text: "🔄 Refresh",
+            emoji: true
+          }
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Updated *${formatSlackDate(Date.now())}*`
+        }
+      ]
+    },
+    { type: "divider" },
+    header('📈 Events (24h / 7d)')
+  ];
+
+  const eventTypes = Object.keys(last7d).sort((a, b) => last7d[b] - last7d[a]);
+  blocks.push(section(eventTypes.length > 0
+    ? eventTypes.map(type => `• ${EVENT_LABELS[type] || escapeMrkdwn(type)}: *${last24h[type] || 0}* / ${last7d[type]}`).join('\n')
+    : '_No events in the last 7 days._'));
+
+  blocks.push({ type: "divider" }, header(`⚠️ Open Incident Reports (${openIncidents.length})`));
+  if (openIncidents.length === 0) {
+    blocks.push(section('_No open incident reports._ 🎉'));
+  }
+  openIncidents.slice(0, MAX_INCIDENTS).forEach(entry => {
+    const detail = entry.eventData.incidentReportDetail;
+    const carrier = entry.eventData.carrier;
+    const tenantName = tenantNameOf(entry);
+    blocks.push(section([
+      `*Incident ${escapeMrkdwn(detail.incidentReportID)}* · *Status:* ${escapeMrkdwn(detail.status || 'New')}`,
+      detail.incidentType && escapeMrkdwn(detail.incidentType),
+      carrier && `${escapeMrkdwn(formatCarrierName(carrier).trim())} (DOT ${escapeMrkdwn(carrier.dotNumber)})`,
+      formatSlackDate(entry.eventDateTime || entry.receivedAt),
+      tenantName && `[${tenantName}]`
+    ].filter(Boolean).join(' · ')));
+  });
+  if (openIncidents.length > MAX_INCIDENTS) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `…and ${openIncidents.length - MAX_INCIDENTS} more. Use \`/mcp incidents open\` for the full list.`
+        }
+      ]
+    });
+  }
+
+  blocks.push({ type: "divider" }, header('🚫 Recent Delivery Failures'));
+  const failures = [
+    ...deadLetters.slice(0, MAX_FAILURES).map(entry =>
+      `• ❌ *${escapeMrkdwn(entry.eventType || 'unknown event')}* · dead letter since ${formatSlackDate(entry.failedAt)} after ${entry.attempts} attempt(s)\n   _${escapeMrkdwn(truncate(entry.lastError, MAX_ERROR_LENGTH))}_`),
+    ...retrying.slice(0, MAX_FAILURES).map(job =>
+      `• 🔁 *${escapeMrkdwn(job.eventType || 'unknown event')}* · ${job.attempts} failed attempt(s), next try ${formatSlackDate(job.nextAttemptAt)}\n   _${escapeMrkdwn(truncate(job.lastError, MAX_ERROR_LENGTH))}_`)
+  ];
+  blocks.push(section(failures.length > 0 ? failures.join('\n') : '_No delivery failures._ ✅'));
+  if (deadLetters.length > MAX_FAILURES || retrying.length > MAX_FAILURES) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `${deadLetters.length} dead letter(s) and ${retrying.length} retrying alert(s) in total. See \`npm run dead-letters list\`.`
+        }
+      ]
+    });
+  }
+
+  return {
+    type: 'home',
+    blocks
+  };
+}
+
+/**
+ * Register the App Home listeners on the Bolt app
+ * @param {object} app - Bolt App
+ * @param {object} deps - Dependencies
+ * @param {function} deps.isSocketModeConnected - Returns the current Socket Mode status
+ * @param {object} deps.eventLog - Event log (see utils/eventLog.js)
+ * @param {object} deps.deadLetters - Dead-letter store (see utils/deadLetters.js)
+ * @param {object} deps.deliveryQueue - Delivery queue (see utils/deliveryQueue.js)
+ * @param {object} deps.tenants - Tenant registry, used to name the MCP account when there are several
+ */
+function registerAppHome(app, { isSocketModeConnected, eventLog, deadLetters, deliveryQueue, tenants }) {
+  async function publish(client, userId) {
+    const now = Date.now();
+    const multiTenant = tenants.list().length > 1;
+
+    const view = buildHomeView({
+      socketModeConnected: isSocketModeConnected(),
+      queued: deliveryQueue.size(),
+      last24h: eventLog.countByType(now - DAY_MS),
+      last7d: eventLog.countByType(now - 7 * DAY_MS),
+      openIncidents: eventLog.openIncidents(),
+      deadLetters: (await deadLetters.list()).reverse(),
+      retrying: deliveryQueue.retrying(),
+      tenantNameOf: (entry) => (multiTenant ? tenants.get(entry.tenantId)?.name || entry.tenantId : null)
+    });
+    await client.views.publish({ user_id: userId, view });
+  }
+
+  app.event('app_home_opened', async ({ event, client }) => {
+    if (event.tab !== 'home') {
+      return;
+    }
+    try {
+      await publish(client, event.user);
+    } catch (error) {
+      console.error('[App Home] Could not publish Home tab:', error);
+    }
+  });
+
+  app.action(REFRESH_ACTION, async ({ ack, body, client }) => {
+    await ack();
+    try {
+      await publish(client, body.user.id);
+    } catch (error) {
+      console.error('[App Home] Could not refresh Home tab:', error);
+    }
+  });
+}
+
+module.exports = {
+  buildHomeView,
+  registerAppHome
+};
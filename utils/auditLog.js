@@ -0,0 +1,101 @@
+/**
+ * @module utils/auditLog
+ * @description Audit trail of triage actions taken on incident alerts in Slack.
+ *
+ * Every acknowledge, assign and escalate action is appended as one JSON line to the
+ * audit file and kept in memory. The current triage state of an alert message is derived
+ * from its entries, so the audit trail is the only record that has to be kept.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an audit log
+ * @param {object} options - Log options
+ * @param {string} options.file - JSON Lines file holding the audit trail
+ * @returns {object} - Log with record, list and triage methods
+ */
+function createAuditLog({ file }) {
+  let entries = [];
+
+  try {
+    entries = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // a line cut short by a crash
+      }
+    }).filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Audit] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  /**
+   * Record a triage action
+   * @param {object} entry - The action
+   * @param {string} entry.action - `acknowledge`, `assign` or `escalate`
+   * @param {string} entry.user - Slack user ID who took the action
+   * @param {string} entry.channel - Channel ID of the alert message
+   * @param {string} entry.ts - Timestamp of the alert message
+   * @param {string} [entry.incidentReportID] - MCP incident report ID
+   * @param {string} [entry.assignee] - Assigned Slack user ID (assign)
+   * @param {string} [entry.escalationChannel] - Channel the alert was escalated to (escalate)
+   * @returns {Promise<object>} - The recorded entry
+   */
+  async function record(entry) {
+    const recorded = { at: new Date().toISOString(), ...entry };
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify(recorded)}\n`);
+    entries.push(recorded);
+    console.log(`[Audit] ${recorded.user} ${recorded.action} incident ${recorded.incidentReportID || 'unknown'} (${recorded.channel}/${recorded.ts})`);
+    return recorded;
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {object} [filter] - Optional filter
+   * @param {string} [filter.incidentReportID] - Only entries for this incident
+   * @param {number} [filter.limit] - Maximum number of entries
+   * @returns {Array<object>} - Entries
+   */
+  function list({ incidentReportID, limit } = {}) {
+    const matching = entries.filter(entry => !incidentReportID || String(entry.incidentReportID) === String(incidentReportID));
+    return matching.slice(limit ? -limit : 0).reverse();
+  }
+
+  /**
+   * Current triage state of an alert message
+   * @param {string} channel - Channel ID of the message
+   * @param {string} ts - Timestamp of the message
+   * @returns {object|null} - { acknowledgedBy, acknowledgedAt, assignee, assignedBy, assignedAt,
+   *                          escalatedBy, escalatedAt, escalationChannel } or null if untouched
+   */
+  function triage(channel, ts) {
+    let state = null;
+    entries
+      .filter(entry => entry.channel === channel && entry.ts === ts)
+      .forEach(entry => {
+        state = state || {};
+        if (entry.action === 'acknowledge') {
+          Object.assign(state, { acknowledgedBy: entry.user, acknowledgedAt: entry.at });
+        } else if (entry.action === 'assign') {
+          Object.assign(state, { assignee: entry.assignee, assignedBy: entry.user, assignedAt: entry.at });
+        } else if (entry.action === 'escalate') {
+          Object.assign(state, { escalatedBy: entry.user, escalatedAt: entry.at, escalationChannel: entry.escalationChannel });
+        }
+      });
+    return state;
+  }
+
+  return {
+    record,
+    list,
+    triage
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
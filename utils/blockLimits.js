@@ -0,0 +1,249 @@
+/**
+ * @module utils/blockLimits
+ * @description Keeps Slack messages within the Block Kit limits.
+ *
+ * Slack rejects a whole message with `invalid_blocks` when one block breaks a limit, e.g. a
+ * long DBA name in the header or a long retraction reason in a field. Before a message is
+ * posted, fitBlockLimits trims text that is too long, splits sections with too many
+ * fields and context blocks with too many elements, and collapses blocks beyond the
+ * per-message limit into a note, reporting every change so it can be logged.
+ *
+ * Text is cut at a character boundary that doesn't break a mention, link or date token
+ * (`<...>`) or an entity (`&amp;`), and ends in `…`.
+ */
+
+// https://api.slack.com/reference/block-kit/blocks
+const BLOCK_LIMITS = {
+  blocks: 50,
+  headerText: 150,
+  sectionText: 3000,
+  sectionFields: 10,
+  fieldText: 2000,
+  contextElements: 10,
+  contextText: 3000,
+  actionElements: 25,
+  buttonText: 75,
+  text: 40000
+};
+
+const ELLIPSIS = '…';
+
+// Slack errors about the message itself, which the other transport would reject as well
+const PAYLOAD_ERRORS = ['invalid_blocks', 'invalid_blocks_format', 'invalid_attachments', 'msg_too_long', 'no_text'];
+
+/**
+ * Cut text down to a maximum length
+ * @param {string} text - Text, plain or mrkdwn
+ * @param {number} max - Maximum length, including the ellipsis
+ * @returns {string} - The text, or its start followed by `…`
+ */
+function truncateText(text, max) {
+  if (text.length <= max) {
+    return text;
+  }
+  let cut = text.slice(0, max - ELLIPSIS.length);
+  // Don't leave half a token or entity behind
+  const open = cut.lastIndexOf('<');
+  if (open > cut.lastIndexOf('>')) {
+    cut = cut.slice(0, open);
+  }
+  const entity = cut.lastIndexOf('&');
+  if (entity > cut.lastIndexOf(';')) {
+    cut = cut.slice(0, entity);
+  }
+  // Nor half a surrogate pair (emoji)
+  if (/[\uD800-\uDBFF]$/.test(cut)) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut}${ELLIPSIS}`;
+}
+
+/**
+ * Split text into chunks of at most max characters, at line breaks where possible
+ * @param {string} text - Text to split
+ * @param {number} max - Maximum chunk length
+ * @returns {Array<string>} - Chunks; a single line longer than max is truncated
+ */
+function splitLines(text, max) {
+  const chunks = [];
+  text.split('\n').forEach(line => {
+    const last = chunks.length - 1;
+    if (last >= 0 && chunks[last].length + 1 + line.length <= max) {
+      chunks[last] += `\n${line}`;
+    } else {
+      chunks.push(truncateText(line, max));
+    }
+  });
+  return chunks;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Trim a text object in place, reporting it under label
+function fitTextObject(textObject, max, label, changes) {
+  if (textObject && typeof textObject.text === 'string' && textObject.text.length > max) {
+    changes.push(`${label} truncated from ${textObject.text.length} to ${max} characters`);
+    textObject.text = truncateText(textObject.text, max);
+  }
+}
+
+/**
+ * Fit one block, which may become several
+ * @param {object} block - Block Kit block (copied, never modified)
+ * @param {string} label - Path of the block for the report, e.g. `blocks[3]`
+ * @param {Array<string>} changes - Report, appended to
+ * @returns {Array<object>} - Blocks replacing it
+ */
+function fitBlock(block, label, changes) {
+  const copy = JSON.parse(JSON.stringify(block));
+
+  switch (copy.type) {
+    case 'header':
+      fitTextObject(copy.text, BLOCK_LIMITS.headerText, `${label}.text`, changes);
+      return [copy];
+
+    case 'section': {
+      const sections = [copy];
+      if (copy.text && typeof copy.text.text === 'string' && copy.text.text.length > BLOCK_LIMITS.sectionText) {
+        const parts = splitLines(copy.text.text, BLOCK_LIMITS.sectionText);
+        changes.push(parts.length > 1
+          ? `${label}.text split into ${parts.length} sections (${copy.text.text.length} characters)`
+          : `${label}.text truncated from ${copy.text.text.length} to ${BLOCK_LIMITS.sectionText} characters`);
+        copy.text.text = parts[0];
+        // Fields and the accessory stay with the first section
+        parts.slice(1).forEach(part => sections.push({ type: 'section', text: { ...copy.text, text: part } }));
+      }
+      if (Array.isArray(copy.fields)) {
+        copy.fields.forEach((field, index) => fitTextObject(field, BLOCK_LIMITS.fieldText, `${label}.fields[${index}]`, changes));
+        if (copy.fields.length > BLOCK_LIMITS.sectionFields) {
+          const groups = chunk(copy.fields, BLOCK_LIMITS.sectionFields);
+          changes.push(`${label}.fields split into ${groups.length} sections (${copy.fields.length} fields)`);
+          copy.fields = groups[0];
+          sections.splice(1, 0, ...groups.slice(1).map(fields => ({ type: 'section', fields })));
+        }
+      }
+      return sections;
+    }
+
+    case 'context': {
+      const elements = copy.elements || [];
+      elements.forEach((element, index) => fitTextObject(element, BLOCK_LIMITS.contextText, `${label}.elements[${index}]`, changes));
+      if (elements.length <= BLOCK_LIMITS.contextElements) {
+        return [copy];
+      }
+      const groups = chunk(elements, BLOCK_LIMITS.contextElements);
+      changes.push(`${label}.elements split into ${groups.length} context blocks (${elements.length} elements)`);
+      return groups.map((group, index) => (index === 0 ? { ...copy, elements: group } : { type: 'context', elements: group }));
+    }
+
+    case 'actions':
+      (copy.elements || []).forEach((element, index) => {
+        if (element.type === 'button') {
+          fitTextObject(element.text, BLOCK_LIMITS.buttonText, `${label}.elements[${index}].text`, changes);
+        }
+      });
+      if (copy.elements && copy.elements.length > BLOCK_LIMITS.actionElements) {
+        changes.push(`${label}.elements cut from ${copy.elements.length} to ${BLOCK_LIMITS.actionElements}`);
+        copy.elements = copy.elements.slice(0, BLOCK_LIMITS.actionElements);
+      }
+      return [copy];
+
+    default:
+      return [copy];
+  }
+}
+
+/**
+ * Fit a list of blocks, collapsing the ones beyond the per-message limit into a note.
+ * Actions blocks (the buttons and triage controls) are kept; the last other blocks go.
+ * @param {Array<object>} blocks - Block Kit blocks
+ * @param {string} label - Path of the list for the report, e.g. `blocks`
+ * @param {Array<string>} changes - Report, appended to
+ * @returns {Array<object>} - Fitted blocks
+ */
+function fitBlockList(blocks, label, changes) {
+  const fitted = blocks.flatMap((block, index) => fitBlock(block, `${label}[${index}]`, changes));
+  if (fitted.length <= BLOCK_LIMITS.blocks) {
+    return fitted;
+  }
+
+  // Room for the note
+  let excess = fitted.length - BLOCK_LIMITS.blocks + 1;
+  const dropped = new Set();
+  for (let index = fitted.length - 1; index >= 0 && excess > 0; index--) {
+    if (fitted[index].type !== 'actions') {
+      dropped.add(index);
+      excess--;
+    }
+  }
+  changes.push(`${label}: ${dropped.size} of ${fitted.length} blocks collapsed`);
+
+  const notePosition = Math.min(...dropped);
+  const result = [];
+  fitted.forEach((block, index) => {
+    if (index === notePosition) {
+      result.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `_…${dropped.size} more block(s) didn't fit in this message_` }]
+      });
+    }
+    if (!dropped.has(index)) {
+      result.push(block);
+    }
+  });
+  return result;
+}
+
+/**
+ * Fit a chat.postMessage or chat.update payload within the Block Kit limits
+ * @param {object} payload - Payload with text, blocks and attachments (not modified)
+ * @returns {object} - { payload, changes }: the payload to send and a description of each
+ *                     change (empty when the payload was already within the limits)
+ */
+function fitBlockLimits(payload) {
+  const changes = [];
+  const fitted = { ...payload };
+
+  if (typeof payload.text === 'string' && payload.text.length > BLOCK_LIMITS.text) {
+    changes.push(`text truncated from ${payload.text.length} to ${BLOCK_LIMITS.text} characters`);
+    fitted.text = truncateText(payload.text, BLOCK_LIMITS.text);
+  }
+  if (Array.isArray(payload.blocks)) {
+    fitted.blocks = fitBlockList(payload.blocks, 'blocks', changes);
+  }
+  if (Array.isArray(payload.attachments)) {
+    fitted.attachments = payload.attachments.map((attachment, index) => (Array.isArray(attachment.blocks)
+      ? { ...attachment, blocks: fitBlockList(attachment.blocks, `attachments[${index}].blocks`, changes) }
+      : attachment));
+  }
+
+  return { payload: changes.length > 0 ? fitted : payload, changes };
+}
+
+/**
+ * Slack error code of a post that failed because of the message itself
+ * @param {*} error - Rejection from the Web API client or sendWebhookMessage
+ * @returns {string|null} - e.g. `invalid_blocks`, or null for any other failure
+ */
+function getPayloadError(error) {
+  if (!error) {
+    return null;
+  }
+  // Web API platform errors carry the error code in data.error, webhook rejections in the
+  // body of an HTTP 400
+  const code = error.data?.error || (error.statusCode === 400 ? String(error.response || '').trim() : null);
+  return PAYLOAD_ERRORS.includes(code) ? code : null;
+}
+
+module.exports = {
+  BLOCK_LIMITS,
+  truncateText,
+  fitBlockLimits,
+  getPayloadError
+};
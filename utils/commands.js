@@ -0,0 +1,325 @@
+/**
+ * @module utils/commands
+ * @description The `/mcp` slash command, answering from the local event log.
+ *
+ * Subcommands:
+ * - `/mcp carrier <DOT|MC>`  Recent events for a carrier
+ * - `/mcp incidents open`    Incident reports that are neither closed nor retracted
+ * - `/mcp recent [N]`        The N most recent events (default 10, at most 20)
+ * - `/mcp watch <DOT|MC> [event types]`, `/mcp watch customer <ID> [event types]`
+ *                            DM me matching events (see utils/subscriptions.js)
+ * - `/mcp unwatch <DOT|MC>`, `/mcp unwatch customer <ID>`
+ * - `/mcp watching`          List my subscriptions
+ *
+ * Answers are ephemeral, so only the person who asked sees them, and are fitted within the
+ * Block Kit limits like alerts (e.g. a long carrier name in the history header).
+ */
+const { formatCarrierName, buildCarrierSection, buildCustomerSection, EVENT_LABELS } = require('./formatters');
+const { parseCarrierTarget, describeTarget } = require('./subscriptions');
+const { formatSlackDate } = require('./dates');
+const { escapeSlackText, escapeMrkdwn } = require('./escape');
+const { fitBlockLimits } = require('./blockLimits');
+
+const DEFAULT_RECENT = 10;
+const MAX_RECENT = 20;
+const MAX_CARRIER_EVENTS = 15;
+const MAX_CARRIER_CUSTOMERS = 5;
+// Three blocks per incident, kept well inside Slack's 50-block limit
+const MAX_INCIDENTS = 12;
+
+const USAGE = [
+  '*Usage:*',
+  '• `/mcp carrier <DOT|MC>`: recent MCP events for a carrier',
+  '• `/mcp incidents open`: incident reports that are still open',
+  `• \`/mcp recent [N]\`: the N most recent events (default ${DEFAULT_RECENT}, at most ${MAX_RECENT})`,
+  '• `/mcp watch <DOT|MC> [event types]` or `/mcp watch customer <ID> [event types]`: get matching events as a DM',
+  '• `/mcp unwatch <DOT|MC>` or `/mcp unwatch customer <ID>`: stop watching',
+  '• `/mcp watching`: list what you are watching'
+].join('\n');
+
+/**
+ * One-line summary of what an event reported
+ * @param {object} entry - Event log entry
+ * @returns {string} - e.g. `Incident 123456: In Progress`, not yet escaped
+ */
+function describeEventDetail({ eventType, eventData }) {
+  const incident = eventData?.incidentReportDetail;
+  if (incident) {
+    return `Incident ${incident.incidentReportID}: ${eventType === 'carrier.incident_report.retracted' ? 'Retracted' : (incident.status || 'Updated')}`;
+  }
+  const vin = eventData?.vinVerificationDetail;
+  if (vin) {
+    return `VIN ${vin.vin || 'N/A'}: ${vin.vinVerificationStatus || 'Completed'}`;
+  }
+  const user = eventData?.userVerificationDetail;
+  if (user) {
+    return `${`${user.firstName || ''} ${user.lastName || ''}`.trim() || 'User'}: ${user.verificationStatus || 'Completed'}`;
+  }
+  const packet = eventData?.packetDetail;
+  if (packet) {
+    return `${packet.packetType || 'Standard'} packet`;
+  }
+  return eventType;
+}
+
+/**
+ * List line for an event
+ * @param {object} entry - Event log entry
+ * @param {object} options - { tenantName, withCarrier }
+ * @returns {string} - mrkdwn line
+ */
+function formatEventLine(entry, { tenantName, withCarrier }) {
+  const { eventType, eventDateTime, eventData } = entry;
+  const parts = [
+    `*${EVENT_LABELS[eventType] || escapeMrkdwn(eventType)}*`,
+    formatSlackDate(eventDateTime || entry.receivedAt),
+    escapeMrkdwn(describeEventDetail(entry))
+  ];
+  if (withCarrier && eventData?.carrier) {
+    parts.push(`${escapeMrkdwn(formatCarrierName(eventData.carrier).trim())} (DOT ${escapeMrkdwn(eventData.carrier.dotNumber)})`);
+  }
+  if (eventData?.customer) {
+    parts.push(escapeMrkdwn(eventData.customer.companyName));
+  }
+  if (tenantName) {
+    parts.push(`[${tenantName}]`);
+  }
+  return parts.join(' · ');
+}
+
+function header(text) {
+  return {
+    type: "header",
+    text: {
+      type: "plain_text",
+      text,
+      emoji: true
+    }
+  };
+}
+
+function context(text) {
+  return {
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text
+      }
+    ]
+  };
+}
+
+function ephemeral(text, blocks) {
+  const { payload, changes } = fitBlockLimits({
+    response_type: 'ephemeral',
+    text,
+    blocks: blocks || [{ type: "section", text: { type: "mrkdwn", text } }]
+  });
+  if (changes.length > 0) {
+    console.warn(`[Commands] Trimmed /mcp answer "${text}" to fit Slack's Block Kit limits: ${changes.join('; ')}`);
+  }
+  return payload;
+}
+
+function carrierHistory(id, { eventLog, tenantNameOf }) {
+  const events = eventLog.forCarrier(id, MAX_CARRIER_EVENTS);
+  if (events.length === 0) {
+    return ephemeral(`No MCP events recorded for carrier \`${escapeSlackText(id)}\`.`);
+  }
+
+  const carrier = events[0].eventData.carrier;
+  const customers = new Map();
+  events.forEach(({ eventData }) => {
+    if (eventData.customer && !customers.has(String(eventData.customer.customerID))) {
+      customers.set(String(eventData.customer.customerID), eventData.customer);
+    }
+  });
+
+  const blocks = [
+    header(`🔎 MCP history: ${formatCarrierName(carrier).trim()}`),
+    buildCarrierSection(carrier),
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: events.map(entry => `• ${formatEventLine(entry, { tenantName: tenantNameOf(entry) })}`).join('\n')
+      }
+    },
+    ...[...customers.values()].slice(0, MAX_CARRIER_CUSTOMERS).map(buildCustomerSection),
+    context(`Last ${events.length} event(s) recorded for this carrier`)
+  ];
+
+  return ephemeral(`MCP history for ${escapeSlackText(formatCarrierName(carrier).trim())} (DOT: ${escapeSlackText(carrier.dotNumber)})`, blocks);
+}
+
+function openIncidents({ eventLog, tenantNameOf }) {
+  const incidents = eventLog.openIncidents();
+  if (incidents.length === 0) {
+    return ephemeral('No open incident reports. 🎉');
+  }
+
+  const blocks = [header(`⚠️ Open Incident Reports (${incidents.length})`)];
+  incidents.slice(0, MAX_INCIDENTS).forEach(entry => {
+    const detail = entry.eventData.incidentReportDetail;
+    const tenantName = tenantNameOf(entry);
+    blocks.push(
+      { type: "divider" },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: [
+            `*Incident ${escapeMrkdwn(detail.incidentReportID)}* · *Status:* ${escapeMrkdwn(detail.status || 'New')}`,
+            detail.incidentType && escapeMrkdwn(detail.incidentType),
+            `last update ${formatSlackDate(entry.eventDateTime || entry.receivedAt)}`,
+            tenantName && `[${tenantName}]`
+          ].filter(Boolean).join(' · ')
+        }
+      },
+      buildCarrierSection(entry.eventData.carrier)
+    );
+  });
+  if (incidents.length > MAX_INCIDENTS) {
+    blocks.push(context(`…and ${incidents.length - MAX_INCIDENTS} more`));
+  }
+
+  return ephemeral(`${incidents.length} open incident report(s)`, blocks);
+}
+
+function recentEvents(count, { eventLog, tenantNameOf }) {
+  const events = eventLog.recent(count);
+  if (events.length === 0) {
+    return ephemeral('No MCP events recorded yet.');
+  }
+
+  const blocks = [
+    header(`📋 Last ${events.length} MCP Event(s)`),
+    ...events.map(entry => ({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatEventLine(entry, { tenantName: tenantNameOf(entry), withCarrier: true })
+      }
+    }))
+  ];
+
+  return ephemeral(`Last ${events.length} MCP event(s)`, blocks);
+}
+
+// Parse `<DOT|MC> [event types]` or `customer <ID> [event types]`
+function parseWatchArgs(args) {
+  if ((args[0] || '').toLowerCase() === 'customer') {
+    return /^\d+$/.test(args[1] || '') ? { target: { type: 'customer', value: args[1] }, eventTypes: args.slice(2) } : null;
+  }
+  const target = parseCarrierTarget(args[0]);
+  return target ? { target, eventTypes: args.slice(1) } : null;
+}
+
+async function watch(userId, args, { subscriptions }) {
+  const parsed = parseWatchArgs(args);
+  if (!parsed) {
+    return ephemeral(USAGE);
+  }
+  const unknown = parsed.eventTypes.filter(type => !/^carrier\.[a-z_*.]+$/.test(type));
+  if (unknown.length > 0) {
+    return ephemeral(`Unknown event type(s): ${unknown.map(type => `\`${type}\``).join(', ')}. Use full event types such as \`carrier.incident_report.created\` or patterns such as \`carrier.incident_report.*\`.`);
+  }
+
+  await subscriptions.watch(userId, parsed.target, parsed.eventTypes);
+  const events = parsed.eventTypes.length > 0
+    ? `${parsed.eventTypes.map(type => `\`${type}\``).join(', ')} events`
+    : 'every event';
+  return ephemeral(`👀 You'll get a DM for ${events} of ${describeTarget(parsed.target)}.`);
+}
+
+async function unwatch(userId, args, { subscriptions }) {
+  const parsed = parseWatchArgs(args);
+  if (!parsed) {
+    return ephemeral(USAGE);
+  }
+  return await subscriptions.unwatch(userId, parsed.target)
+    ? ephemeral(`You're no longer watching ${describeTarget(parsed.target)}.`)
+    : ephemeral(`You weren't watching ${describeTarget(parsed.target)}.`);
+}
+
+function watching(userId, { subscriptions }) {
+  const mine = subscriptions.list(userId);
+  if (mine.length === 0) {
+    return ephemeral("You aren't watching any carriers or customers. Try `/mcp watch <DOT>`.");
+  }
+  const lines = mine.map(subscription =>
+    `• ${describeTarget(subscription)}: ${subscription.eventTypes.length > 0 ? subscription.eventTypes.map(type => `\`${type}\``).join(', ') : 'all events'}`);
+  return ephemeral(`You're watching ${mine.length} target(s)`, [
+    header('👀 Your MCP Subscriptions'),
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: lines.join('\n')
+      }
+    }
+  ]);
+}
+
+/**
+ * Answer a `/mcp` command
+ * @param {object} command - The slash command payload (`text` and `user_id` are used)
+ * @param {object} deps - Dependencies
+ * @param {object} deps.eventLog - Event log (see utils/eventLog.js)
+ * @param {object} deps.subscriptions - Subscription store (see utils/subscriptions.js)
+ * @param {object} deps.tenants - Tenant registry, used to name the MCP account when there are several
+ * @returns {Promise<object>} - Ephemeral response message
+ */
+async function handleMcpCommand(command, { eventLog, subscriptions, tenants }) {
+  const [subcommand, ...args] = String(command.text || '').trim().split(/\s+/);
+  const multiTenant = tenants.list().length > 1;
+  const tenantNameOf = (entry) => (multiTenant ? tenants.get(entry.tenantId)?.name || entry.tenantId : null);
+  const deps = { eventLog, subscriptions, tenantNameOf };
+
+  switch ((subcommand || '').toLowerCase()) {
+    case 'carrier':
+      return args[0] ? carrierHistory(args[0], deps) : ephemeral(USAGE);
+    case 'incidents':
+      return !args[0] || args[0].toLowerCase() === 'open' ? openIncidents(deps) : ephemeral(USAGE);
+    case 'recent': {
+      const count = args[0] ? parseInt(args[0], 10) : DEFAULT_RECENT;
+      if (!(count > 0)) {
+        return ephemeral(USAGE);
+      }
+      return recentEvents(Math.min(count, MAX_RECENT), deps);
+    }
+    case 'watch':
+      return watch(command.user_id, args, deps);
+    case 'unwatch':
+      return unwatch(command.user_id, args, deps);
+    case 'watching':
+      return watching(command.user_id, deps);
+    default:
+      return ephemeral(USAGE);
+  }
+}
+
+/**
+ * Register the `/mcp` command on the Bolt app
+ * @param {object} app - Bolt App
+ * @param {object} deps - Dependencies, as for handleMcpCommand
+ */
+function registerMcpCommand(app, deps) {
+  app.command('/mcp', async ({ command, ack }) => {
+    let response;
+    try {
+      response = await handleMcpCommand(command, deps);
+    } catch (error) {
+      console.error(`[Commands] Error handling /mcp ${command.text}:`, error);
+      response = ephemeral('Sorry, something went wrong looking that up.');
+    }
+    await ack(response);
+  });
+}
+
+module.exports = {
+  handleMcpCommand,
+  registerMcpCommand
+};
@@ -0,0 +1,119 @@
+/**
+ * @module utils/dates
+ * @description Parsing and display of MCP timestamps.
+ *
+ * Slack messages show times as `<!date^...>` tokens, which Slack renders in each reader's
+ * own timezone and locale. Everything else (the text inside those tokens, which Slack
+ * shows where tokens aren't supported, Teams cards and emails) is formatted in
+ * `ALERT_TIMEZONE` (defaulting to the server timezone) and `ALERT_LOCALE` (default `en-US`).
+ *
+ * MCP timestamps are not always valid ISO 8601 (e.g. `2025-05-21T14:37:19.3NZ`), so the date,
+ * time, fraction of a second and offset are read leniently. Anything that isn't shaped like
+ * an ISO 8601 date or date and time (e.g. `1` or `May 21 2025`) is rejected, rather than
+ * left to the many formats `new Date()` guesses at.
+ */
+const { escapeMrkdwn } = require('./escape');
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Date, then optionally time, fraction of a second with stray letters, and offset
+const LENIENT_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:[.,](\d+))?[a-z]*?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+// Slack renders the token as e.g. `Today at 2:37 PM` or `May 21st, 2025 at 2:37 PM`
+const SLACK_DATE_FORMAT = '{date_short_pretty} at {time}';
+
+const formatters = new Map();
+
+/**
+ * Date formatter for a timezone and locale, checking both the first time they are used
+ * @param {string} [timeZone] - IANA timezone, defaults to ALERT_TIMEZONE
+ * @param {string} [locale] - BCP 47 locale, defaults to ALERT_LOCALE
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone = process.env.ALERT_TIMEZONE || undefined, locale = process.env.ALERT_LOCALE || DEFAULT_LOCALE) {
+  const cacheKey = `${timeZone || ''}|${locale}`;
+  if (!formatters.has(cacheKey)) {
+    try {
+      formatters.set(cacheKey, new Intl.DateTimeFormat(locale, {
+        timeZone,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+      }));
+    } catch (error) {
+      throw new Error(`Invalid timezone "${timeZone}" or locale "${locale}": ${error.message}`);
+    }
+  }
+  return formatters.get(cacheKey);
+}
+
+/**
+ * Parse a timestamp: an ISO 8601 date or date and time, including the malformed variants MCP
+ * has been seen to send, or epoch milliseconds as a number
+ * @param {string|number|Date} value - Timestamp
+ * @returns {Date|null} - The instant, or null when the value can't be read as a date
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = String(value).trim().match(LENIENT_TIMESTAMP);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00', fraction = '0', offset = 'Z'] = match;
+  // Date would roll 2025-02-30 over into March
+  const calendarDay = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (calendarDay.getUTCMonth() !== Number(month) - 1 || calendarDay.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  const milliseconds = fraction.padEnd(3, '0').slice(0, 3);
+  const zone = offset.toUpperCase() === 'Z' ? 'Z' : `${offset.slice(0, 3)}:${offset.slice(-2)}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${milliseconds}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a timestamp as text in the configured timezone and locale
+ * @param {string|number|Date} value - Timestamp
+ * @param {object} [options] - { timeZone, locale }, overriding ALERT_TIMEZONE and ALERT_LOCALE
+ * @returns {string} - e.g. `May 21, 2025, 9:37 AM CDT`; an unreadable value is returned as
+ *                     given, and a missing one as an empty string
+ */
+function formatDate(value, { timeZone, locale } = {}) {
+  const date = parseDate(value);
+  if (!date) {
+    return value === undefined || value === null ? '' : String(value);
+  }
+  return getFormatter(timeZone, locale).format(date);
+}
+
+/**
+ * Format a timestamp for Slack mrkdwn, shown in each reader's own timezone
+ * @param {string|number|Date} value - Timestamp
+ * @param {object} [options] - { timeZone, locale } for the fallback text, as for formatDate
+ * @returns {string} - `<!date^...>` token; an unreadable value is returned as given, escaped
+ *                     for mrkdwn since it may be event data
+ */
+function formatSlackDate(value, options = {}) {
+  const date = parseDate(value);
+  if (!date) {
+    return escapeMrkdwn(formatDate(value, options));
+  }
+  return `<!date^${Math.floor(date.getTime() / 1000)}^${SLACK_DATE_FORMAT}|${formatDate(date, options)}>`;
+}
+
+module.exports = {
+  parseDate,
+  formatDate,
+  formatSlackDate,
+  getFormatter
+};
@@ -0,0 +1,126 @@
+/**
+ * @module utils/deadLetters
+ * @description Dead-letter store for alerts that could not be delivered to Slack.
+ *
+ * When the delivery queue gives up on a job, the job is parked here together with the
+ * original raw webhook body, the error reported by each transport and the relevant
+ * timestamps. Entries stay on disk until they are replayed or discarded through the
+ * admin API (see utils/adminApi.js) or the `scripts/dead-letters.js` CLI.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a file-backed dead-letter store
+ * @param {object} options - Store options
+ * @param {string} options.dir - Directory holding one JSON file per dead letter
+ * @returns {object} - Store with add, list, get and remove methods
+ */
+function createDeadLetterStore({ dir }) {
+  if (!dir) {
+    throw new Error('Dead-letter directory is required.');
+  }
+
+  // Job IDs are generated by the delivery queue; never let one escape the directory
+  const entryPath = (id) => path.join(dir, `${path.basename(String(id))}.json`);
+
+  async function readEntry(file) {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  }
+
+  /**
+   * Park a delivery queue job that ran out of attempts
+   * @param {object} job - The failed delivery queue job
+   * @returns {Promise<object>} - The stored dead letter
+   */
+  async function add(job) {
+    const entry = {
+      id: job.id,
+      eventType: job.meta.eventType || null,
+      rawBody: job.meta.rawBody || null,
+      receivedAt: job.createdAt,
+      failedAt: new Date().toISOString(),
+      attempts: job.attempts,
+      lastError: job.lastError,
+      errors: job.errors || [],
+      meta: job.meta,
+      payload: job.payload
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(entryPath(entry.id), JSON.stringify(entry, null, 2));
+    console.error(`[Dead Letters] Parked undeliverable ${entry.eventType || 'message'} as ${entry.id}`);
+    return entry;
+  }
+
+  /**
+   * List dead letters, oldest first, without their payloads
+   * @returns {Promise<object[]>} - Dead-letter summaries
+   */
+  async function list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const { id, eventType, receivedAt, failedAt, attempts, lastError } = await readEntry(path.join(dir, file));
+        entries.push({ id, eventType, receivedAt, failedAt, attempts, lastError });
+      } catch (error) {
+        console.error(`[Dead Letters] Skipping unreadable file ${file}:`, error.message);
+      }
+    }
+    return entries.sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+  }
+
+  /**
+   * Get a full dead letter
+   * @param {string} id - Dead-letter ID
+   * @returns {Promise<object|null>} - The entry, or null if it doesn't exist
+   */
+  async function get(id) {
+    try {
+      return await readEntry(entryPath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a dead letter
+   * @param {string} id - Dead-letter ID
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async function remove(id) {
+    try {
+      await fs.promises.unlink(entryPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    add,
+    list,
+    get,
+    remove
+  };
+}
+
+module.exports = {
+  createDeadLetterStore
+};
@@ -0,0 +1,233 @@
+/**
+ * @module utils/dedup
+ * @description Detects MCP webhook redeliveries so the same event is only posted once.
+ *
+ * Each webhook gets a stable key derived from the event type, event time and the IDs in
+ * the event detail; MCP doesn't send a delivery ID header (only `MCP-Signature`), so a
+ * redelivery can only be recognized by its content. Keys are remembered for a
+ * configurable window and persisted to disk, so redeliveries that straddle a restart are
+ * still recognized; call flush() before exiting so the latest keys aren't lost.
+ *
+ * A key is reserved while its webhook is being processed, so a redelivery arriving in
+ * the meantime is ignored too. If processing fails, the reservation is released and MCP's
+ * retry goes through, skipping the fan-out steps (queued messages) the failed attempt
+ * already completed.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Detail fields that identify the subject of an event, by detail object
+const DETAIL_ID_FIELDS = {
+  packetDetail: ['packetId', 'id'],
+  incidentReportDetail: ['incidentReportID', 'status'],
+  vinVerificationDetail: ['vin', 'vinVerificationStatus'],
+  userVerificationDetail: ['phoneNumber', 'verificationStatus', 'verificationDatetime']
+};
+
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Derive a stable deduplication key for a webhook
+ * @param {object} body - Parsed webhook body ({ eventType, eventDateTime, eventData })
+ * @returns {string} - Deduplication key
+ */
+function getDeliveryKey(body) {
+  const { eventType, eventDateTime, eventData = {} } = body || {};
+  const parts = [
+    eventType,
+    eventDateTime,
+    eventData.carrier?.dotNumber,
+    eventData.customer?.customerID
+  ];
+
+  for (const [detailName, fields] of Object.entries(DETAIL_ID_FIELDS)) {
+    const detail = eventData[detailName];
+    if (detail) {
+      fields.forEach(field => parts.push(`${field}=${detail[field] ?? ''}`));
+    }
+  }
+
+  const digest = crypto.createHash('sha256').update(parts.map(part => part ?? '').join('|')).digest('hex');
+  return `event:${digest.slice(0, 32)}`;
+}
+
+/**
+ * Create a store of recently seen webhook keys
+ * @param {object} options - Store options
+ * @param {number} options.windowMs - How long a key is remembered; 0 disables deduplication
+ * @param {string} [options.file] - JSON file used to persist keys across restarts
+ * @returns {object} - Store with check, reserve, release, remember, flush and size methods
+ */
+function createDedupStore({ windowMs, file }) {
+  const seen = new Map();
+  // Keys being processed, or whose processing failed part way, with the steps done so far
+  const reserved = new Map();
+  let saveTimer = null;
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  if (file) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(saved)) {
+        if (entry.expiresAt > now) {
+          seen.set(key, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Dedup] Could not read ${file}, starting empty:`, error.message);
+      }
+    }
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, entry] of seen) {
+      if (entry.expiresAt <= now) {
+        seen.delete(key);
+      }
+    }
+    for (const [key, reservation] of reserved) {
+      if (!reservation.inProgress && reservation.expiresAt <= now) {
+        reserved.delete(key);
+      }
+    }
+  }
+
+  function save() {
+    const write = saving.then(async () => {
+      prune();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(Object.fromEntries(seen)));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) {
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save().catch(error => console.error(`[Dedup] Could not persist seen keys to ${file}:`, error.message));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  /**
+   * Look up a key
+   * @param {string} key - Deduplication key
+   * @returns {object|null} - The earlier sighting ({ firstSeenAt, count, inProgress }) or null
+   *                          if new, or if an earlier attempt failed and it may be retried
+   */
+  function check(key) {
+    if (!windowMs) {
+      return null;
+    }
+    const reservation = reserved.get(key);
+    if (reservation && reservation.inProgress) {
+      reservation.count += 1;
+      return reservation;
+    }
+    const entry = seen.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    entry.count += 1;
+    scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Reserve a new key while its webhook is processed; check() reports it as a duplicate
+   * until it is released or remembered
+   * @param {string} key - Deduplication key
+   * @returns {Set<string>} - Fan-out steps an earlier, failed attempt already completed;
+   *                          add each step to it once it is done
+   */
+  function reserve(key) {
+    if (!windowMs) {
+      return new Set();
+    }
+    const reservation = reserved.get(key);
+    if (reservation && reservation.expiresAt > Date.now()) {
+      reservation.inProgress = true;
+      return reservation.done;
+    }
+    const created = {
+      firstSeenAt: new Date().toISOString(),
+      expiresAt: Date.now() + windowMs,
+      count: 1,
+      inProgress: true,
+      done: new Set()
+    };
+    reserved.set(key, created);
+    return created.done;
+  }
+
+  /**
+   * Release a reserved key after its webhook failed, so a retry is processed again.
+   * The steps done so far are kept for the retry until the window passes.
+   * @param {string} key - Deduplication key
+   */
+  function release(key) {
+    const reservation = reserved.get(key);
+    if (reservation) {
+      reservation.inProgress = false;
+    }
+  }
+
+  /**
+   * Remember a key once its webhook has been accepted
+   * @param {string} key - Deduplication key
+   */
+  function remember(key) {
+    if (!windowMs) {
+      return;
+    }
+    const reservation = reserved.get(key);
+    reserved.delete(key);
+    seen.set(key, {
+      firstSeenAt: reservation ? reservation.firstSeenAt : new Date().toISOString(),
+      expiresAt: Date.now() + windowMs,
+      count: reservation ? reservation.count : 1
+    });
+    scheduleSave();
+  }
+
+  /**
+   * Write the seen keys to disk now instead of after the save delay, e.g. before exiting
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    if (!file) {
+      return;
+    }
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await save();
+  }
+
+  return {
+    check,
+    reserve,
+    release,
+    remember,
+    flush,
+    size: () => {
+      prune();
+      return seen.size;
+    }
+  };
+}
+
+module.exports = {
+  getDeliveryKey,
+  createDedupStore
+};
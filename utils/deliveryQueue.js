@@ -0,0 +1,379 @@
+/**
+ * @module utils/deliveryQueue
+ * @description Persistent outbound delivery queue for formatted alerts.
+ *
+ * Every job is written to its own JSON file before the webhook is acknowledged, so a
+ * Slack outage or a container restart never drops an alert. A single worker walks the
+ * due jobs in arrival order, hands each one to the supplied `deliver` function and
+ * removes the file once delivery succeeds. Failed jobs are rescheduled with exponential
+ * backoff plus jitter and retried until Slack accepts them, or until `maxAttempts` is
+ * reached, at which point the job is handed to `onGiveUp` (e.g. a dead-letter store).
+ *
+ * A deliver function can signal that its destination is rate limiting by throwing an error
+ * with a `retryAfterMs` property. That doesn't count as a failed attempt: the job is
+ * rescheduled for when the Retry-After period is over and the pass moves on, so a
+ * rate-limited Teams channel or outbound webhook doesn't hold up the other destinations.
+ * The same goes for an error with `deferred: true` as well as `retryAfterMs`, which
+ * means the destination isn't ready yet (e.g. Slack channel pacing) and isn't logged.
+ * An error with `permanent: true` (e.g. Slack rejecting the message itself) won't get
+ * better with retries, so the job goes to `onGiveUp` right away.
+ *
+ * @example
+ * const { createDeliveryQueue } = require('./utils/deliveryQueue');
+ *
+ * const queue = createDeliveryQueue({
+ *   dir: './data/queue',
+ *   deliver: async (job) => postToSlack(job.payload)
+ * });
+ *
+ * await queue.start();
+ * await queue.enqueue({ channel: 'mcp-alerts', text: 'Hello' }, { eventType: 'carrier.packet.completed' });
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const MAX_ERROR_HISTORY = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calculate the delay before the next attempt using exponential backoff with jitter.
+ * Half of the window is fixed and the other half is random, so retries from many jobs
+ * spread out without ever collapsing to zero.
+ * @param {number} attempts - Number of attempts made so far (1 after the first failure)
+ * @param {number} baseDelayMs - Delay window for the first retry
+ * @param {number} maxDelayMs - Upper bound for the delay window
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoff(attempts, baseDelayMs, maxDelayMs) {
+  const window = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.floor(window / 2 + Math.random() * (window / 2));
+}
+
+/**
+ * Turn whatever a transport rejected with into a readable message.
+ * `sendWebhookMessage` rejects with plain objects, the Slack Web API with Error instances.
+ * @param {*} error - The rejection value
+ * @returns {string} - Error description
+ */
+function describeError(error) {
+  if (!error) {
+    return 'Unknown error';
+  }
+  if (error instanceof Error) {
+    return error.message;
+  }
+  if (typeof error === 'object') {
+    return error.error || (error.statusCode ? `HTTP ${error.statusCode}: ${error.response || ''}`.trim() : JSON.stringify(error));
+  }
+  return String(error);
+}
+
+/**
+ * Short description of a job for log lines
+ * @param {object} job - Delivery queue job
+ * @returns {string} - e.g. `1717000000000-ab12cd34 (carrier.packet.completed, tenant linehaul)`
+ */
+function describeJob(job) {
+  const { eventType, tenantId } = job.meta || {};
+  return `${job.id} (${eventType || 'unknown event'}${tenantId ? `, tenant ${tenantId}` : ''})`;
+}
+
+/**
+ * Write a file atomically so a crash mid-write never leaves a truncated job behind.
+ * @param {string} filePath - Destination path
+ * @param {object} data - JSON-serializable data
+ */
+async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Create a persistent delivery queue
+ * @param {object} options - Queue options
+ * @param {string} options.dir - Directory holding one JSON file per pending job
+ * @param {function} options.deliver - Async function receiving a job; it must throw when delivery fails
+ * @param {number} [options.baseDelayMs] - Delay window for the first retry
+ * @param {number} [options.maxDelayMs] - Maximum delay window between retries
+ * @param {number} [options.pollIntervalMs] - How often to look for due jobs
+ * @param {number} [options.maxAttempts] - Attempts before giving up on a job; 0 retries forever
+ * @param {function} [options.onGiveUp] - Async function receiving a job that ran out of attempts
+ *                                       or failed with a permanent error
+ * @returns {object} - Queue with enqueue, start, drain, stop, size, count and retrying methods
+ */
+function createDeliveryQueue({
+  dir,
+  deliver,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  maxAttempts = 0,
+  onGiveUp = null
+}) {
+  if (!dir) {
+    throw new Error('Delivery queue directory is required.');
+  }
+  if (typeof deliver !== 'function') {
+    throw new Error('Delivery queue requires a deliver function.');
+  }
+
+  const jobs = new Map();
+  let timer = null;
+  let wakeTimer = null;
+  let processing = null;
+  let rerun = false;
+  let lastSequence = 0;
+
+  const jobPath = (id) => path.join(dir, `${id}.json`);
+
+  async function load() {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const files = await fs.promises.readdir(dir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const job = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+        jobs.set(job.id, job);
+        lastSequence = Math.max(lastSequence, job.sequence || 0);
+      } catch (error) {
+        console.error(`[Delivery Queue] Skipping unreadable job file ${file}:`, error.message);
+      }
+    }
+
+    if (jobs.size > 0) {
+      console.log(`[Delivery Queue] Restored ${jobs.size} pending job(s) from ${dir}`);
+    }
+  }
+
+  /**
+   * Try to deliver a job
+   * @param {object} job - Due job
+   */
+  async function attempt(job) {
+    try {
+      await deliver(job);
+      jobs.delete(job.id);
+      await fs.promises.unlink(jobPath(job.id)).catch(() => {});
+    } catch (error) {
+      if (error && error.retryAfterMs) {
+        job.nextAttemptAt = Date.now() + error.retryAfterMs;
+        if (!error.deferred) {
+          console.warn(`[Delivery Queue] Rate limited while delivering job ${describeJob(job)}, retrying after ${Math.ceil(error.retryAfterMs / 1000)}s`);
+        }
+        await writeJsonAtomic(jobPath(job.id), job);
+        wakeUpAt(job.nextAttemptAt);
+        return;
+      }
+
+      job.attempts += 1;
+      job.lastError = describeError(error);
+      job.lastAttemptAt = new Date().toISOString();
+      // Keep a short history, including per-transport errors when the deliver function reports them
+      job.errors = (job.errors || []).concat({
+        attempt: job.attempts,
+        at: job.lastAttemptAt,
+        error: job.lastError,
+        transportErrors: error && error.transportErrors ? error.transportErrors : undefined
+      }).slice(-MAX_ERROR_HISTORY);
+
+      const permanent = Boolean(error && error.permanent);
+      if (onGiveUp && (permanent || (maxAttempts && job.attempts >= maxAttempts))) {
+        console.error(`[Delivery Queue] Giving up on job ${describeJob(job)} after ${job.attempts} attempt(s)${permanent ? ' (not retryable)' : ''}: ${job.lastError}`);
+        await onGiveUp(job);
+        jobs.delete(job.id);
+        await fs.promises.unlink(jobPath(job.id)).catch(() => {});
+        return;
+      }
+
+      const delay = computeBackoff(job.attempts, baseDelayMs, maxDelayMs);
+      job.nextAttemptAt = Date.now() + delay;
+      console.warn(`[Delivery Queue] Attempt ${job.attempts} failed for job ${describeJob(job)}: ${job.lastError}. Retrying in ${Math.round(delay / 1000)}s`);
+      await writeJsonAtomic(jobPath(job.id), job);
+    }
+  }
+
+  async function processDue() {
+    do {
+      rerun = false;
+      const now = Date.now();
+      const due = [...jobs.values()]
+        .filter(job => job.nextAttemptAt <= now)
+        .sort((a, b) => a.sequence - b.sequence);
+
+      for (const job of due) {
+        await attempt(job);
+      }
+    } while (rerun);
+  }
+
+  /**
+   * Process jobs again at the given time when that's sooner than the next poll, so paced
+   * Slack messages go out on time
+   * @param {number} time - Epoch milliseconds
+   */
+  function wakeUpAt(time) {
+    const delay = time - Date.now();
+    if (!timer || wakeTimer || delay >= pollIntervalMs) {
+      return;
+    }
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      kick();
+    }, Math.max(0, delay));
+    wakeTimer.unref();
+  }
+
+  /**
+   * Process due jobs, coalescing concurrent triggers into the running pass
+   * @returns {Promise<void>}
+   */
+  function kick() {
+    if (processing) {
+      rerun = true;
+      return processing;
+    }
+    processing = processDue()
+      .catch(error => console.error('[Delivery Queue] Error while processing jobs:', error))
+      .finally(() => {
+        processing = null;
+      });
+    return processing;
+  }
+
+  /**
+   * Persist a message and schedule it for delivery
+   * @param {object} payload - Message payload handed to the deliver function
+   * @param {object} [meta] - Extra information about the job (event type, etc.)
+   * @returns {Promise<object>} - The stored job
+   */
+  async function enqueue(payload, meta = {}) {
+    // Strictly increasing, so jobs keep their arrival order across restarts
+    lastSequence = Math.max(lastSequence + 1, Date.now());
+    const job = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      sequence: lastSequence,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      meta,
+      payload
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await writeJsonAtomic(jobPath(job.id), job);
+    jobs.set(job.id, job);
+
+    if (timer) {
+      kick();
+    }
+    return job;
+  }
+
+  /**
+   * Load persisted jobs and begin processing
+   */
+  async function start() {
+    await load();
+    timer = setInterval(kick, pollIntervalMs);
+    timer.unref();
+    kick();
+  }
+
+  function stopTimers() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (wakeTimer) {
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+    }
+  }
+
+  /**
+   * Stop polling and keep delivering due jobs until none are left or the timeout passes.
+   * Jobs put off by pacing or a rate limit are waited for when their turn comes before the
+   * timeout. Jobs that fail while draining, or are still pending afterwards, stay on disk
+   * for the next start.
+   * @param {number} timeoutMs - Maximum time to spend draining
+   * @returns {Promise<number>} - Number of jobs left in the queue
+   */
+  async function drain(timeoutMs) {
+    stopTimers();
+
+    const deadline = Date.now() + timeoutMs;
+    // Jobs that haven't failed yet, due now or before the deadline
+    const nextDueAt = () => Math.min(...[...jobs.values()]
+      .filter(job => job.attempts === 0 || job.nextAttemptAt <= Date.now())
+      .map(job => job.nextAttemptAt));
+
+    while (nextDueAt() < deadline && Date.now() < deadline) {
+      const waitMs = nextDueAt() - Date.now();
+      await (waitMs > 0 ? sleep(waitMs) : Promise.race([kick(), sleep(deadline - Date.now())]));
+    }
+    return jobs.size;
+  }
+
+  /**
+   * Stop polling and wait for the current processing pass to finish
+   */
+  async function stop() {
+    stopTimers();
+    if (processing) {
+      await processing;
+    }
+  }
+
+  /**
+   * Jobs that failed at least once and are waiting for another attempt
+   * @returns {Array<object>} - { id, eventType, tenantId, attempts, lastError, nextAttemptAt }, oldest first
+   */
+  function retrying() {
+    return [...jobs.values()]
+      .filter(job => job.attempts > 0)
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(job => ({
+        id: job.id,
+        eventType: job.meta?.eventType,
+        tenantId: job.meta?.tenantId,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        nextAttemptAt: job.nextAttemptAt
+      }));
+  }
+
+  /**
+   * Count the queued jobs whose meta matches a predicate
+   * @param {function} predicate - Receives the job meta
+   * @returns {number} - Number of matching jobs
+   */
+  function count(predicate) {
+    return [...jobs.values()].filter(job => predicate(job.meta || {})).length;
+  }
+
+  return {
+    enqueue,
+    start,
+    drain,
+    stop,
+    size: () => jobs.size,
+    count,
+    retrying
+  };
+}
+
+module.exports = {
+  createDeliveryQueue,
+  computeBackoff,
+  describeError
+};
@@ -0,0 +1,165 @@
+/**
+ * @module utils/digest
+ * @description Buffers events delivered in "digest" mode and flushes them on a schedule.
+ *
+ * Events are grouped into buckets by tenant, channel, event type and schedule. Each
+ * bucket is due at the next run of its schedule after its first event arrived; when it
+ * comes due the `flush` callback receives the whole bucket (typically to format a
+ * summary and queue it for delivery) and the bucket is cleared. Buckets are persisted
+ * to a JSON file, so buffered events survive restarts and overdue digests are sent as
+ * soon as the app is back.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseSchedule, nextRun } = require('./schedule');
+
+const DEFAULT_CHECK_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Create a digest buffer
+ * @param {object} options - Buffer options
+ * @param {string} options.file - JSON file holding the buffered events
+ * @param {function} options.flush - Async function receiving a due bucket
+ *                                   ({ tenantId, channel, eventType, since, entries, ... })
+ * @param {number} [options.checkIntervalMs] - How often to look for due buckets
+ * @returns {object} - Buffer with add, start, stop and pending methods
+ */
+function createDigestBuffer({ file, flush, checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS }) {
+  let buckets = {};
+  let timer = null;
+  let flushing = null;
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    buckets = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Digest] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    // Each save writes the buckets as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(buckets, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Buffer an event for the next digest
+   * @param {object} event - Event to buffer
+   * @param {string} event.tenantId - Tenant the event belongs to
+   * @param {string} [event.tenantName] - Tenant name shown in the digest
+   * @param {string} event.channel - Destination channel
+   * @param {string} event.eventType - The MCP event type
+   * @param {string} event.schedule - Cron expression or alias for the digest
+   * @param {string} [event.timeZone] - Timezone the schedule is expressed in
+   * @param {string} event.eventDateTime - Event timestamp
+   * @param {object} event.eventData - Event data; only carrier and customer are kept
+   * @returns {Promise<object>} - The bucket the event was added to
+   */
+  async function add({ tenantId, tenantName, channel, eventType, schedule, timeZone, eventDateTime, eventData }) {
+    const key = [tenantId, channel, eventType, schedule, timeZone || ''].join('|');
+
+    if (!buckets[key]) {
+      const dueAt = nextRun(parseSchedule(schedule), new Date(), timeZone);
+      if (!dueAt) {
+        throw new Error(`Digest schedule "${schedule}" never runs within the next month.`);
+      }
+      buckets[key] = {
+        tenantId,
+        tenantName,
+        channel,
+        eventType,
+        schedule,
+        timeZone,
+        since: new Date().toISOString(),
+        dueAt: dueAt.toISOString(),
+        entries: []
+      };
+    }
+
+    buckets[key].entries.push({
+      eventDateTime,
+      carrier: eventData.carrier,
+      customer: eventData.customer
+    });
+    await save();
+    return buckets[key];
+  }
+
+  async function flushDue() {
+    const now = Date.now();
+
+    for (const [key, bucket] of Object.entries(buckets)) {
+      if (Date.parse(bucket.dueAt) > now) {
+        continue;
+      }
+      try {
+        const entries = bucket.entries.slice();
+        await flush({ ...bucket, entries, until: new Date().toISOString() });
+        // Events added while flushing start the next digest
+        const later = bucket.entries.slice(entries.length);
+        const dueAt = later.length > 0 ? nextRun(parseSchedule(bucket.schedule), new Date(), bucket.timeZone) : null;
+        if (dueAt) {
+          buckets[key] = { ...bucket, since: new Date().toISOString(), dueAt: dueAt.toISOString(), entries: later };
+        } else {
+          delete buckets[key];
+        }
+        await save();
+        console.log(`[Digest] Flushed ${entries.length} ${bucket.eventType} event(s) to ${bucket.channel} (tenant ${bucket.tenantId})`);
+      } catch (error) {
+        // Keep the bucket; it is still due and will be retried on the next check
+        console.error(`[Digest] Could not flush ${bucket.eventType} digest for ${bucket.channel}:`, error);
+      }
+    }
+  }
+
+  function check() {
+    if (!flushing) {
+      flushing = flushDue().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  /**
+   * Start checking for due digests (overdue ones are flushed right away)
+   */
+  function start() {
+    timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return check();
+  }
+
+  /**
+   * Stop checking and wait for a flush in progress
+   */
+  async function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (flushing) {
+      await flushing;
+    }
+  }
+
+  return {
+    add,
+    start,
+    stop,
+    pending: () => Object.values(buckets).reduce((sum, bucket) => sum + bucket.entries.length, 0)
+  };
+}
+
+module.exports = {
+  createDigestBuffer
+};
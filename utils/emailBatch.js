@@ -0,0 +1,161 @@
+/**
+ * @module utils/emailBatch
+ * @description Collects routed events into batches so a burst becomes one email.
+ *
+ * Events are grouped by tenant and recipient list. A batch is sent `windowMs` after its
+ * first event arrived, or as soon as it holds `maxEvents` events; the `flush` callback
+ * receives the whole batch (typically to format an email and queue it for delivery).
+ * Batches are persisted to a JSON file, so collected events survive restarts.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+const DEFAULT_MAX_EVENTS = 25;
+const DEFAULT_CHECK_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Create an email batcher
+ * @param {object} options - Batcher options
+ * @param {string} options.file - JSON file holding the collected events
+ * @param {function} options.flush - Async function receiving a complete batch
+ *                                   ({ tenantId, tenantName, recipients, since, events })
+ * @param {number} [options.windowMs] - How long a batch collects events after the first one
+ * @param {number} [options.maxEvents] - Events after which a batch is sent right away
+ * @param {number} [options.checkIntervalMs] - How often to look for due batches
+ * @returns {object} - Batcher with add, start, stop and pending methods
+ */
+function createEmailBatcher({ file, flush, windowMs = DEFAULT_WINDOW_MS, maxEvents = DEFAULT_MAX_EVENTS, checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS }) {
+  let batches = {};
+  let timer = null;
+  let flushing = null;
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    batches = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Email] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    // Each save writes the batches as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(batches, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Add an event to the batch for its recipients
+   * @param {object} event - Event to batch
+   * @param {string} event.tenantId - Tenant the event belongs to
+   * @param {string} [event.tenantName] - Tenant name shown in the email
+   * @param {Array<string>} event.recipients - Email addresses
+   * @param {string} event.eventType - The MCP event type
+   * @param {string} event.eventDateTime - Event timestamp
+   * @param {object} event.eventData - The event data payload
+   * @returns {Promise<object>} - The batch the event was added to
+   */
+  async function add({ tenantId, tenantName, recipients, eventType, eventDateTime, eventData }) {
+    const sorted = [...new Set(recipients.map(address => address.toLowerCase()))].sort();
+    const key = [tenantId, ...sorted].join('|');
+
+    if (!batches[key]) {
+      batches[key] = {
+        tenantId,
+        tenantName,
+        recipients: sorted,
+        since: new Date().toISOString(),
+        dueAt: new Date(Date.now() + windowMs).toISOString(),
+        events: []
+      };
+    }
+
+    const batch = batches[key];
+    batch.events.push({ eventType, eventDateTime, eventData });
+    if (batch.events.length >= maxEvents) {
+      batch.dueAt = new Date().toISOString();
+    }
+    await save();
+
+    if (batch.events.length >= maxEvents) {
+      check();
+    }
+    return batch;
+  }
+
+  async function flushDue() {
+    const now = Date.now();
+
+    for (const [key, batch] of Object.entries(batches)) {
+      if (Date.parse(batch.dueAt) > now) {
+        continue;
+      }
+      try {
+        const events = batch.events.slice();
+        await flush({ ...batch, events });
+        // Events added while flushing start the next batch
+        const later = batch.events.slice(events.length);
+        if (later.length > 0) {
+          batches[key] = { ...batch, since: new Date().toISOString(), dueAt: new Date(Date.now() + windowMs).toISOString(), events: later };
+        } else {
+          delete batches[key];
+        }
+        await save();
+        console.log(`[Email] Queued ${events.length} event(s) for ${batch.recipients.join(', ')} (tenant ${batch.tenantId})`);
+      } catch (error) {
+        // Keep the batch; it is still due and will be retried on the next check
+        console.error(`[Email] Could not queue email for ${batch.recipients.join(', ')}:`, error);
+      }
+    }
+  }
+
+  function check() {
+    if (!flushing) {
+      flushing = flushDue().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  /**
+   * Start checking for due batches (overdue ones are sent right away)
+   */
+  function start() {
+    timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return check();
+  }
+
+  /**
+   * Stop checking and wait for a flush in progress
+   */
+  async function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (flushing) {
+      await flushing;
+    }
+  }
+
+  return {
+    add,
+    start,
+    stop,
+    pending: () => Object.values(batches).reduce((sum, batch) => sum + batch.events.length, 0)
+  };
+}
+
+module.exports = {
+  createEmailBatcher
+};
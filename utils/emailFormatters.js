@@ -0,0 +1,69 @@
+/**
+ * Format MCP webhook events into emails with an HTML body and a plain-text alternative
+ *
+ * Each event is rendered from its event view (see utils/eventView.js), showing what its
+ * Slack message shows: the header, carrier (legal/DBA name, DOT, MC), event details,
+ * customer, event time and the MCP link. Several events can be rendered into one email
+ * (see utils/emailBatch.js).
+ */
+const { buildEventView, EVENT_LABELS } = require('./eventView');
+const { renderRichText } = require('./templates');
+const { viewRows, contextLine, renderPlainText } = require('./textRenderers');
+const { escapeHtml } = require('./escape');
+
+function renderEventHtml(view) {
+  const rows = viewRows(view).map(([label, value]) =>
+    `<tr><td style="padding:2px 12px 2px 0;color:#616061;white-space:nowrap;vertical-align:top"><strong>${escapeHtml(label)}</strong></td><td style="padding:2px 0">${escapeHtml(value)}</td></tr>`);
+  const notes = [...view.notes.map(note => renderRichText(note)), contextLine(view)];
+
+  return [
+    `<div style="border-left:4px solid ${view.color};padding:8px 16px;margin:0 0 24px">`,
+    `<h2 style="margin:0 0 12px;font-size:18px">${escapeHtml(view.title)}</h2>`,
+    `<table style="border-collapse:collapse;font-size:14px">${rows.join('')}</table>`,
+    ...notes.map(note => `<p style="margin:8px 0 0;color:#616061;font-size:12px">${escapeHtml(note)}</p>`),
+    ...view.links.map(link => `<p style="margin:12px 0 0"><a href="${escapeHtml(link.url)}" style="background:#007a5a;color:#ffffff;padding:6px 12px;border-radius:4px;text-decoration:none">${escapeHtml(link.text)}</a></p>`),
+    '</div>'
+  ].join('\n');
+}
+
+/**
+ * Format an email for one or more events
+ * @param {Array<object>} events - Events in arrival order, each { eventType, eventDateTime, eventData }
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.tenantName] - MCP account the events came from, shown when set
+ * @returns {object} - { subject, html, text }
+ */
+function formatEmailMessage(events, options = {}) {
+  const views = events.map(({ eventType, eventDateTime, eventData }) => buildEventView(eventType, eventDateTime, eventData, options));
+  const prefix = options.tenantName ? `[${options.tenantName}] ` : '';
+
+  let subject;
+  if (events.length === 1) {
+    subject = `${prefix}${renderRichText(views[0].summary)}`;
+  } else {
+    const counts = new Map();
+    events.forEach(({ eventType }) => counts.set(eventType, (counts.get(eventType) || 0) + 1));
+    const summary = [...counts].map(([eventType, count]) => `${EVENT_LABELS[eventType] || eventType}${count > 1 ? ` ×${count}` : ''}`).join(', ');
+    subject = `${prefix}${events.length} MCP events: ${summary}`;
+  }
+
+  const intro = events.length > 1 ? `${events.length} MCP events, oldest first.` : null;
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#1d1c1d;margin:0;padding:16px">',
+    intro ? `<p style="margin:0 0 16px">${escapeHtml(intro)}</p>` : '',
+    ...views.map(renderEventHtml),
+    '</body></html>'
+  ].filter(Boolean).join('\n');
+
+  const text = [
+    ...(intro ? [intro, ''] : []),
+    views.map(renderPlainText).join('\n\n')
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  formatEmailMessage
+};
@@ -0,0 +1,181 @@
+/**
+ * @module utils/escalation
+ * @description Tracks critical alerts until someone acknowledges them.
+ *
+ * Every critical alert posted through the Web API is tracked by its channel and `ts`.
+ * Reacting to the message (or to one of its re-posts) acknowledges it. While it is
+ * unacknowledged, `repost` is called every `repostAfterMs` so the alert is posted again,
+ * up to `maxReposts` times; after the last re-post the alert is no longer tracked.
+ * Tracked alerts are persisted to a JSON file so re-posts continue after a restart.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Create an escalation tracker
+ * @param {object} options - Tracker options
+ * @param {string} options.file - JSON file holding the tracked alerts
+ * @param {function} options.repost - Async function receiving an unacknowledged alert and the
+ *                                    number of the re-post (1 for the first)
+ * @param {number} [options.checkIntervalMs] - How often to look for overdue alerts
+ * @returns {object} - Tracker with track, acknowledge, start, stop and pending methods
+ */
+function createEscalationTracker({ file, repost, checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS }) {
+  let alerts = {};
+  let timer = null;
+  let checking = null;
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    alerts = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Escalation] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    // Each save writes the alerts as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(alerts, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Track a posted critical alert, or a re-post of one
+   * @param {object} posted - The posted message
+   * @param {string} [posted.id] - ID of the tracked alert this is a re-post of
+   * @param {string} posted.channel - Channel ID the message was posted to
+   * @param {string} posted.ts - Message timestamp
+   * @param {object} posted.payload - Delivery queue payload, used for re-posts
+   * @param {object} posted.meta - Delivery queue metadata (meta.escalation holds repostAfterMs and maxReposts)
+   * @returns {Promise<object|null>} - The tracked alert, or null if it needs no tracking
+   */
+  async function track({ id, channel, ts, payload, meta }) {
+    const { repostAfterMs, maxReposts } = meta.escalation;
+    if (id) {
+      if (!alerts[id]) {
+        return null; // acknowledged (or given up on) before the re-post went out
+      }
+      alerts[id].messages.push({ channel, ts });
+      alerts[id].postedAt = new Date().toISOString();
+      await save();
+      return alerts[id];
+    }
+    if (!repostAfterMs || !maxReposts) {
+      return null;
+    }
+
+    const alert = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      tenantId: meta.tenantId,
+      eventType: meta.eventType,
+      messages: [{ channel, ts }],
+      postedAt: new Date().toISOString(),
+      reposts: 0,
+      payload,
+      meta
+    };
+    alerts[alert.id] = alert;
+    await save();
+    return alert;
+  }
+
+  /**
+   * Acknowledge the alert a message belongs to
+   * @param {string} channel - Channel ID of the message
+   * @param {string} ts - Message timestamp
+   * @param {string} [user] - Slack user ID acknowledging it
+   * @returns {Promise<object|null>} - The acknowledged alert, or null if the message isn't tracked
+   */
+  async function acknowledge(channel, ts, user) {
+    const alert = Object.values(alerts).find(tracked =>
+      tracked.messages.some(message => message.channel === channel && message.ts === ts));
+    if (!alert) {
+      return null;
+    }
+    delete alerts[alert.id];
+    await save();
+    console.log(`[Escalation] ${alert.eventType} alert ${alert.id} acknowledged${user ? ` by ${user}` : ''} (tenant ${alert.tenantId})`);
+    return { ...alert, acknowledgedBy: user || null, acknowledgedAt: new Date().toISOString() };
+  }
+
+  async function repostOverdue() {
+    const now = Date.now();
+
+    for (const alert of Object.values(alerts)) {
+      const { repostAfterMs, maxReposts } = alert.meta.escalation;
+      if (Date.parse(alert.postedAt) + repostAfterMs > now) {
+        continue;
+      }
+      if (alert.reposts >= maxReposts) {
+        delete alerts[alert.id];
+        await save();
+        console.warn(`[Escalation] ${alert.eventType} alert ${alert.id} still unacknowledged after ${maxReposts} re-post(s), giving up (tenant ${alert.tenantId})`);
+        continue;
+      }
+      try {
+        await repost(alert, alert.reposts + 1);
+        alert.reposts++;
+        // Counts from now until the re-post is delivered and tracked
+        alert.postedAt = new Date().toISOString();
+        await save();
+        console.log(`[Escalation] Re-posting unacknowledged ${alert.eventType} alert ${alert.id} (${alert.reposts}/${maxReposts})`);
+      } catch (error) {
+        console.error(`[Escalation] Could not re-post alert ${alert.id}:`, error);
+      }
+    }
+  }
+
+  function check() {
+    if (!checking) {
+      checking = repostOverdue().finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  }
+
+  /**
+   * Start checking for unacknowledged alerts
+   */
+  function start() {
+    timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return check();
+  }
+
+  /**
+   * Stop checking and wait for a check in progress
+   */
+  async function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (checking) {
+      await checking;
+    }
+  }
+
+  return {
+    track,
+    acknowledge,
+    start,
+    stop,
+    pending: () => Object.keys(alerts).length
+  };
+}
+
+module.exports = {
+  createEscalationTracker
+};
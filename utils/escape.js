@@ -0,0 +1,85 @@
+/**
+ * @module utils/escape
+ * @description Escaping of MCP-supplied text (carrier and customer names, reporter names,
+ * retraction reasons, etc.) for each output format.
+ *
+ * Only text we write ourselves (templates, mentions and escalation mentions from the
+ * routing config) may contain Slack control sequences such as `<!channel>` or `<@U123>`;
+ * everything that came in a webhook goes through one of these functions first.
+ */
+
+// Slack has no escape character for formatting marks; a zero-width space on both sides
+// keeps a mark from pairing up with another one
+const ZERO_WIDTH_SPACE = '\u200B';
+const MRKDWN_MARKS = /[*_~`]/g;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const SPACE = /\s/;
+
+// Markdown characters the Adaptive Card renderer in Teams acts on
+const TEAMS_MARKDOWN = /[\\*_~`[\]]/g;
+
+/**
+ * Escape text for Slack's `text` fields (notification and fallback text), so `<`, `>` and
+ * `&` can't form mentions, links or entities
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeSlackText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Whether the mark at index can open or close formatting: it must be at the edge of a
+// word, next to text on the inside. Marks within a word (`Acme_F`, `IR_2025_01`) or
+// between spaces are shown as they are.
+function isFormattingMark(text, index) {
+  const before = text[index - 1];
+  const after = text[index + 1];
+  const opens = !WORD_CHAR.test(before || '') && after !== undefined && !SPACE.test(after);
+  const closes = !WORD_CHAR.test(after || '') && before !== undefined && !SPACE.test(before);
+  return opens || closes;
+}
+
+/**
+ * Escape text for Slack mrkdwn: no mentions, links or bold/italic/strike/code formatting.
+ * Only marks that could format text get zero-width spaces, so names and IDs with marks
+ * inside words still copy, paste and search as they are.
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeMrkdwn(value) {
+  return escapeSlackText(value).replace(MRKDWN_MARKS, (mark, index, text) =>
+    (isFormattingMark(text, index) ? `${ZERO_WIDTH_SPACE}${mark}${ZERO_WIDTH_SPACE}` : mark));
+}
+
+/**
+ * Escape text for Markdown in Teams Adaptive Card TextBlocks and FactSets
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeTeamsMarkdown(value) {
+  return String(value).replace(TEAMS_MARKDOWN, char => `\\${char}`);
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  escapeSlackText,
+  escapeMrkdwn,
+  escapeTeamsMarkdown,
+  escapeHtml
+};
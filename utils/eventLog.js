@@ -0,0 +1,226 @@
+/**
+ * @module utils/eventLog
+ * @description Local record of received MCP events, used to answer `/mcp` lookups.
+ *
+ * Each accepted webhook is appended as one JSON line to the log file and kept in memory
+ * for queries. Only the event data fields the lookups and the App Home show are kept
+ * (see KEPT_FIELDS), so the log doesn't grow with the size of MCP's payloads. Entries
+ * older than `maxAgeDays` are dropped from memory as events are recorded and queried, and
+ * the file is rewritten without them when it is loaded and whenever the dropped lines
+ * outnumber the kept ones.
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizeDocket } = require('./eventMatch');
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Don't rewrite a small file just to drop a few lines
+const MIN_COMPACT_LINES = 100;
+
+// Incident statuses that mean nothing is left to do
+const CLOSED_INCIDENT_STATUSES = ['closed', 'resolved'];
+
+// Event data fields kept per object: what /mcp answers and the App Home show
+const KEPT_FIELDS = {
+  carrier: ['dotNumber', 'docketNumber', 'legalName', 'dbaName'],
+  customer: ['customerID', 'companyName'],
+  incidentReportDetail: ['incidentReportID', 'status', 'incidentType'],
+  vinVerificationDetail: ['vin', 'vinVerificationStatus'],
+  userVerificationDetail: ['firstName', 'lastName', 'verificationStatus'],
+  packetDetail: ['packetType']
+};
+
+/**
+ * Trim event data down to the fields kept in the log
+ * @param {object} [eventData] - The event data payload
+ * @returns {object} - The kept objects and fields, in the payload's shape
+ */
+function trimEventData(eventData) {
+  const trimmed = {};
+  Object.entries(KEPT_FIELDS).forEach(([name, fields]) => {
+    const value = eventData?.[name];
+    if (value && typeof value === 'object') {
+      trimmed[name] = Object.fromEntries(fields.filter(field => value[field] !== undefined).map(field => [field, value[field]]));
+    }
+  });
+  return trimmed;
+}
+
+/**
+ * Create an event log
+ * @param {object} options - Log options
+ * @param {string} options.file - JSON Lines file holding the events
+ * @param {number} [options.maxAgeDays] - How long events are kept
+ * @returns {object} - Log with record, recent, forCarrier, openIncidents and countByType methods
+ */
+function createEventLog({ file, maxAgeDays = DEFAULT_MAX_AGE_DAYS }) {
+  const cutoff = Date.now() - maxAgeDays * DAY_MS;
+  let events = [];
+  // Lines in the file for events no longer kept
+  let droppedLines = 0;
+  // Appends and rewrites of the file, one at a time
+  let writing = Promise.resolve();
+
+  try {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    events = lines.map(line => {
+      try {
+        const event = JSON.parse(line);
+        // Logs written before event data was trimmed
+        return { ...event, eventData: trimEventData(event.eventData) };
+      } catch (error) {
+        return null; // a line cut short by a crash
+      }
+    }).filter(event => event && Date.parse(event.receivedAt) >= cutoff);
+
+    if (events.length !== lines.length || events.some((event, index) => JSON.stringify(event) !== lines[index])) {
+      fs.writeFileSync(`${file}.tmp`, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Event Log] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  // Drop events past maxAgeDays; they are the oldest, so at the start
+  function prune() {
+    const oldest = Date.now() - maxAgeDays * DAY_MS;
+    const kept = events.findIndex(event => Date.parse(event.receivedAt) >= oldest);
+    const dropped = kept === -1 ? events.length : kept;
+    if (dropped > 0) {
+      events = events.slice(dropped);
+      droppedLines += dropped;
+    }
+  }
+
+  async function compact() {
+    const lines = events.map(event => `${JSON.stringify(event)}\n`).join('');
+    await fs.promises.writeFile(`${file}.tmp`, lines);
+    await fs.promises.rename(`${file}.tmp`, file);
+    console.log(`[Event Log] Compacted ${file}, dropped ${droppedLines} event(s) older than ${maxAgeDays} days`);
+    droppedLines = 0;
+  }
+
+  /**
+   * Record a received event
+   * @param {object} event - The event
+   * @param {string} event.tenantId - Tenant the event belongs to
+   * @param {string} event.eventType - The MCP event type
+   * @param {string} event.eventDateTime - Event timestamp
+   * @param {object} event.eventData - The event data payload, trimmed to the kept fields
+   * @returns {Promise<object>} - The recorded entry
+   */
+  async function record({ tenantId, eventType, eventDateTime, eventData }) {
+    const entry = {
+      receivedAt: new Date().toISOString(),
+      tenantId,
+      eventType,
+      eventDateTime,
+      eventData: trimEventData(eventData)
+    };
+    const write = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+      events.push(entry);
+      prune();
+      if (droppedLines >= MIN_COMPACT_LINES && droppedLines > events.length) {
+        // The event is recorded either way; the file is compacted on a later try
+        await compact().catch(error => console.error(`[Event Log] Could not compact ${file}:`, error.message));
+      }
+    });
+    // A failed write doesn't hold up the next one
+    writing = write.catch(() => {});
+    await write;
+    return entry;
+  }
+
+  /**
+   * Most recent events, newest first
+   * @param {number} limit - Maximum number of events
+   * @returns {Array<object>} - Entries
+   */
+  function recent(limit) {
+    prune();
+    return events.slice(-limit).reverse();
+  }
+
+  /**
+   * Most recent events for a carrier, newest first
+   * @param {string|number} id - DOT number, or MC/docket number with or without the `MC` prefix
+   * @param {number} limit - Maximum number of events
+   * @returns {Array<object>} - Entries
+   */
+  function forCarrier(id, limit) {
+    const wanted = String(id).trim();
+    const docket = normalizeDocket(wanted);
+    const byDocket = /^MC/i.test(wanted);
+    prune();
+
+    return events
+      .filter(({ eventData }) => {
+        const carrier = eventData?.carrier || {};
+        if (!byDocket && String(carrier.dotNumber) === wanted) {
+          return true;
+        }
+        return carrier.docketNumber != null && normalizeDocket(carrier.docketNumber) === docket;
+      })
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Incident reports that are neither retracted nor closed, by their latest event
+   * @returns {Array<object>} - Latest entry of each open incident, newest first
+   */
+  function openIncidents() {
+    prune();
+    const latest = new Map();
+    events.forEach(entry => {
+      const incidentReportID = entry.eventData?.incidentReportDetail?.incidentReportID;
+      if (String(entry.eventType).startsWith('carrier.incident_report.') && incidentReportID) {
+        latest.set(`${entry.tenantId}:${incidentReportID}`, entry);
+      }
+    });
+
+    return [...latest.values()]
+      .filter(entry => entry.eventType !== 'carrier.incident_report.retracted'
+        && !CLOSED_INCIDENT_STATUSES.includes(String(entry.eventData.incidentReportDetail.status || '').toLowerCase()))
+      .sort((a, b) => Date.parse(b.receivedAt) - Date.parse(a.receivedAt));
+  }
+
+  /**
+   * Number of events received per event type since a point in time
+   * @param {Date|number} since - Start of the period
+   * @returns {object} - Map of event type to count
+   */
+  function countByType(since) {
+    const from = new Date(since).getTime();
+    const counts = {};
+    prune();
+    events.forEach(entry => {
+      if (Date.parse(entry.receivedAt) >= from) {
+        counts[entry.eventType] = (counts[entry.eventType] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  return {
+    record,
+    recent,
+    forCarrier,
+    openIncidents,
+    countByType,
+    size: () => {
+      prune();
+      return events.length;
+    }
+  };
+}
+
+module.exports = {
+  createEventLog
+};
@@ -0,0 +1,95 @@
+/**
+ * @module utils/eventMatch
+ * @description Helpers for matching MCP events against declarative conditions.
+ *
+ * A condition object may contain any of the following keys; all present keys must match,
+ * and a list of values matches if any entry does:
+ * - `eventType`   Event type pattern(s), `*` is a wildcard (e.g. `carrier.incident_report.*`)
+ * - `customerID`  MCP customer ID(s)
+ * - `dotNumber`   Carrier DOT number(s)
+ * - `docketNumber` Carrier MC/docket number(s), with or without the `MC` prefix
+ * - `fields`      Map of dot-separated paths into eventData to expected value(s),
+ *                 e.g. `{ "incidentReportDetail.status": "New" }`
+ *
+ * Values are compared as strings, so `2168` and `"2168"` are equivalent.
+ */
+
+// Keys a condition object may contain
+const CONDITION_KEYS = ['eventType', 'customerID', 'dotNumber', 'docketNumber', 'fields'];
+
+/**
+ * Read a dot-separated path from an object
+ * @param {object} obj - Object to read from
+ * @param {string} path - Path such as `carrier.dotNumber`
+ * @returns {*} - The value, or undefined if any segment is missing
+ */
+function getPath(obj, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Check an event type against a pattern where `*` matches any sequence of characters
+ * @param {string} pattern - Pattern such as `carrier.incident_report.*`
+ * @param {string} eventType - The MCP event type
+ * @returns {boolean} - Whether the event type matches
+ */
+function matchesEventType(pattern, eventType) {
+  const regex = new RegExp(`^${String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return regex.test(eventType || '');
+}
+
+// Normalize docket numbers so "MC863051", "mc-863051" and "863051" compare equal
+function normalizeDocket(value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^MC/, '');
+}
+
+function anyEqual(expected, actual, normalize = String) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  return [].concat(expected).some(value => normalize(value) === normalize(actual));
+}
+
+/**
+ * Check whether an event satisfies a condition object
+ * @param {object} conditions - Conditions as described in the module documentation
+ * @param {string} eventType - The MCP event type
+ * @param {object} eventData - The event data payload
+ * @returns {boolean} - Whether every condition matches (an empty object matches everything)
+ */
+function matchesConditions(conditions, eventType, eventData) {
+  if (!conditions) {
+    return true;
+  }
+  const data = eventData || {};
+
+  if (conditions.eventType !== undefined &&
+      ![].concat(conditions.eventType).some(pattern => matchesEventType(pattern, eventType))) {
+    return false;
+  }
+  if (conditions.customerID !== undefined && !anyEqual(conditions.customerID, data.customer?.customerID)) {
+    return false;
+  }
+  if (conditions.dotNumber !== undefined && !anyEqual(conditions.dotNumber, data.carrier?.dotNumber)) {
+    return false;
+  }
+  if (conditions.docketNumber !== undefined && !anyEqual(conditions.docketNumber, data.carrier?.docketNumber, normalizeDocket)) {
+    return false;
+  }
+  if (conditions.fields) {
+    for (const [path, expected] of Object.entries(conditions.fields)) {
+      if (!anyEqual(expected, getPath(data, path))) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  CONDITION_KEYS,
+  getPath,
+  normalizeDocket,
+  matchesEventType,
+  matchesConditions
+};
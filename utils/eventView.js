@@ -0,0 +1,172 @@
+/**
+ * @module utils/eventView
+ * @description Format-agnostic view of an MCP event, built from its message template.
+ *
+ * The view holds everything an alert shows, without any output format's markup: title,
+ * severity and color, carrier, customer, detail fields, notes, links and the event time,
+ * plus the template's blocks in display order. Renderers turn it into Slack Block Kit
+ * (utils/formatters.js), Teams Adaptive Cards (utils/teamsFormatters.js), email
+ * (utils/emailFormatters.js), plain text and Markdown (utils/textRenderers.js).
+ *
+ * Field values and notes are rich text (see renderRichText in utils/templates.js), which
+ * each renderer escapes and formats for itself.
+ */
+const {
+  DEFAULT_TEMPLATE,
+  DEFAULT_FALLBACK,
+  SEVERITY_COLORS,
+  loadTemplates,
+  renderSegments,
+  renderRichText,
+  renderText,
+  testCondition,
+  resolveCases
+} = require('./templates');
+const { decodeVin } = require('./vin');
+
+// Built-in templates, with overrides and additions from MESSAGE_TEMPLATES_DIR
+const templates = loadTemplates(process.env.MESSAGE_TEMPLATES_DIR);
+
+/**
+ * Template for an event type, falling back to the default template
+ * @param {string} eventType - The MCP webhook event type
+ * @returns {object} - Loaded template
+ */
+function templateFor(eventType) {
+  return templates.get(eventType) || templates.get(DEFAULT_TEMPLATE);
+}
+
+/**
+ * Carrier name with the DBA name in parentheses when there is one
+ * @param {object} carrier - eventData.carrier
+ * @returns {string} - e.g. `RC ZONE INC (RC Freight)`
+ */
+function formatCarrierName(carrier) {
+  return `${carrier.legalName} ${carrier.dbaName ? `(${carrier.dbaName})` : ''}`;
+}
+
+// Severity whose color a template picked, for renderers that only know severities
+function severityOfColor(color) {
+  const match = Object.entries(SEVERITY_COLORS).find(([, severityColor]) => severityColor === color?.toUpperCase());
+  return match ? match[0] : null;
+}
+
+function buildElements(elements, scope, eventData) {
+  return elements
+    .filter(element => testCondition(element.if, scope))
+    .map(element => {
+      if (element.type === 'incident_controls') {
+        return { type: 'incident_controls', incidentReportID: eventData.incidentReportDetail?.incidentReportID };
+      }
+      return {
+        type: 'link',
+        text: renderText(element.text, scope),
+        url: renderText(element.url, scope, { escape: encodeURIComponent }),
+        style: element.style
+      };
+    });
+}
+
+/**
+ * Build the view of an event
+ * @param {string} eventType - The MCP webhook event type
+ * @param {string} eventDateTime - Event timestamp, as received
+ * @param {object} eventData - The event data payload
+ * @param {object} [options] - View options
+ * @param {string} [options.tenantName] - MCP account the event came from, shown when set
+ * @param {Array<object>} [options.header] - Rich text replacing the template's header, in the
+ *                                           title and wherever the template uses `$header`
+ * @returns {object} - { eventType, title, label, severity (null when the template only sets
+ *                     a color outside the severity palette), color, occurredAt, tenantName,
+ *                     carrier, customer, details, notes, links, summary, blocks }
+ */
+function buildEventView(eventType, eventDateTime, eventData, options = {}) {
+  const template = templateFor(eventType);
+  const scope = {
+    eventData,
+    vars: {
+      eventType,
+      eventDateTime,
+      eventDate: [{ date: eventDateTime }],
+      // Decoded offline, so alerts can show the model year and maker and flag typos
+      vin: decodeVin(eventData.vinVerificationDetail?.vin)
+    }
+  };
+  scope.vars.header = options.header || renderSegments(template.header, scope);
+  const title = renderRichText(scope.vars.header);
+
+  const blocks = template.blocks
+    .filter(block => testCondition(block.if, scope))
+    .map(block => {
+      switch (block.type) {
+        case 'fields':
+          return {
+            type: 'details',
+            fields: block.fields
+              .filter(field => testCondition(field.if, scope))
+              .map(field => ({ label: renderSegments(field.label, scope), value: renderSegments(field.value, scope) }))
+          };
+        case 'note':
+          return { type: 'note', text: renderSegments(block.text, scope) };
+        case 'actions':
+          return { type: 'actions', elements: buildElements(block.elements, scope, eventData) };
+        default:
+          return { type: block.type };
+      }
+    })
+    // Conditions can leave a block empty
+    .filter(block => !(block.type === 'details' && block.fields.length === 0)
+      && !(block.type === 'actions' && block.elements.length === 0));
+
+  const color = resolveCases(template.color, scope);
+  const severity = resolveCases(template.severity, scope) || severityOfColor(color);
+  const { carrier, customer } = eventData;
+
+  return {
+    eventType,
+    title,
+    label: template.label ? renderText(template.label, scope) : title,
+    severity,
+    color: color || SEVERITY_COLORS[severity],
+    occurredAt: eventDateTime,
+    tenantName: options.tenantName || null,
+    carrier: {
+      name: formatCarrierName(carrier).trim(),
+      legalName: carrier.legalName,
+      dbaName: carrier.dbaName || null,
+      dotNumber: carrier.dotNumber,
+      docketNumber: carrier.docketNumber || null
+    },
+    customer: {
+      name: customer.companyName,
+      id: customer.customerID
+    },
+    details: blocks.filter(block => block.type === 'details').flatMap(block => block.fields),
+    notes: blocks.filter(block => block.type === 'note').map(block => block.text),
+    links: blocks.filter(block => block.type === 'actions').flatMap(block => block.elements.filter(element => element.type === 'link')),
+    summary: renderSegments(template.fallback || DEFAULT_FALLBACK, scope),
+    blocks
+  };
+}
+
+// Short labels used when listing events (/mcp answers, App Home)
+const EVENT_LABELS = Object.fromEntries([...templates.values()]
+  .filter(template => template.eventType !== DEFAULT_TEMPLATE && template.label)
+  .map(template => [template.eventType, template.label]));
+
+/**
+ * Title used when summarizing events of a type, e.g. in a digest
+ * @param {string} eventType - The MCP webhook event type
+ * @returns {string}
+ */
+function digestTitle(eventType) {
+  const template = templateFor(eventType);
+  return renderText(template.digestTitle || template.header, { eventData: {}, vars: { eventType } });
+}
+
+module.exports = {
+  buildEventView,
+  formatCarrierName,
+  digestTitle,
+  EVENT_LABELS
+};
@@ -1,612 +1,524 @@
 /**
  * Format MCP webhook events into rich Slack messages
+ *
+ * Alerts are rendered from the event view (see utils/eventView.js); the carrier, customer
+ * and context sections and the incident triage controls are built here.
  */
+const { formatSlackDate } = require('./dates');
+const { escapeSlackText, escapeMrkdwn } = require('./escape');
+const { renderRichText } = require('./templates');
+const { buildEventView, formatCarrierName, digestTitle, EVENT_LABELS } = require('./eventView');
+
+// Rich text in mrkdwn fields, and in notes, whose timestamps are shown in bold
+const MRKDWN_TEXT = { escape: escapeMrkdwn, formatDate: formatSlackDate };
+const MRKDWN_NOTE = { ...MRKDWN_TEXT, emphasizeDate: text => `*${text}*` };
 
 /**
- * Main formatter function that dispatches to specific formatters based on event type
- * @param {string} eventType - The MCP webhook event type
- * @param {string} eventDateTime - ISO 8601 timestamp of the event
- * @param {object} eventData - The event data payload
- * @returns {object} - Formatted Slack message with blocks, attachments and fallback text
+ * Basic carrier info section that's common to all events
+ * @param {object} carrier - eventData.carrier
+ * @returns {object} - Block Kit section
  */
-function formatSlackMessage(eventType, eventDateTime, eventData) {
-  const date = new Date(eventDateTime);
-  const formattedDate = date.toLocaleString();
-  
-  // Basic carrier info section that's common to all events
-  const carrierSection = {
+function buildCarrierSection(carrier) {
+  return {
     type: "section",
     fields: [
       {
         type: "mrkdwn",
-        text: `*Carrier:* ${eventData.carrier.legalName} ${eventData.carrier.dbaName ? `(${eventData.carrier.dbaName})` : ''}`
+        text: `*Carrier:* ${escapeMrkdwn(formatCarrierName(carrier))}`
       },
       {
         type: "mrkdwn",
-        text: `*DOT Number:* ${eventData.carrier.dotNumber}`
+        text: `*DOT Number:* ${escapeMrkdwn(carrier.dotNumber)}`
       },
       {
         type: "mrkdwn",
-        text: `*MC Number:* ${eventData.carrier.docketNumber || 'N/A'}`
+        text: `*MC Number:* ${carrier.docketNumber ? escapeMrkdwn(carrier.docketNumber) : 'N/A'}`
       }
     ]
   };
+}
 
-  // Customer section
-  const customerSection = {
+/**
+ * Customer section that's common to all events
+ * @param {object} customer - eventData.customer
+ * @returns {object} - Block Kit section
+ */
+function buildCustomerSection(customer) {
+  return {
     type: "section",
     fields: [
       {
         type: "mrkdwn",
-        text: `*Customer:* ${eventData.customer.companyName}`
+        text: `*Customer:* ${escapeMrkdwn(customer.companyName)}`
       },
       {
         type: "mrkdwn",
-        text: `*Customer ID:* ${eventData.customer.customerID}`
-      }
-    ]
-  };
-
-  // Timestamp and event context
-  const contextSection = {
-    type: "context",
-    elements: [
-      {
-        type: "mrkdwn",
-        text: `Event occurred at *${formattedDate}*`
+        text: `*Customer ID:* ${escapeMrkdwn(customer.customerID)}`
       }
     ]
   };
-
-  // Call the appropriate formatter based on eventType
-  switch (eventType) {
-    case 'carrier.packet.completed':
-      return formatPacketCompletedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-    case 'carrier.incident_report.created':
-      return formatIncidentReportCreatedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-    case 'carrier.incident_report.updated':
-      return formatIncidentReportUpdatedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-    case 'carrier.incident_report.retracted':
-      return formatIncidentReportRetractedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-    case 'carrier.vin_verification.completed':
-      return formatVinVerificationCompletedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-    case 'carrier.user_verification.completed':
-      return formatUserVerificationCompletedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-    default:
-      return formatDefaultMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection);
-  }
 }
 
+// Action IDs of the incident triage controls, handled in utils/incidentActions.js
+const INCIDENT_ACTIONS = {
+  acknowledge: 'incident_ack',
+  assign: 'incident_assign',
+  escalate: 'incident_escalate'
+};
+const INCIDENT_TRIAGE_BLOCK_ID = 'incident_triage';
+
 /**
- * Format message for carrier.packet.completed event
+ * Interactive triage controls for incident alerts: acknowledge, assign and escalate
+ * @param {string} incidentReportID - MCP incident report ID, carried in the button values
+ * @returns {Array<object>} - Block Kit action elements
  */
-function formatPacketCompletedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const packetCompletedHeader = {
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: "🎉 Carrier Packet Completed",
-      emoji: true
-    }
-  };
-
-  const packetDetails = {
-    type: "section",
-    fields: [
-      {
-        type: "mrkdwn",
-        text: `*Packet Type:* ${eventData.packetDetail?.packetType || 'Standard'}`
+function buildIncidentActionElements(incidentReportID) {
+  const value = String(incidentReportID || '');
+  return [
+    {
+      type: "button",
+      action_id: INCIDENT_ACTIONS.acknowledge,
+      text: {
+        type: "plain_text",
+        text: "✅ Acknowledge",
+        emoji: true
       },
-      {
-        type: "mrkdwn",
-        text: `*Completion Date:* ${new Date(eventData.packetDetail?.completionDatetime || formattedDate).toLocaleString()}`
+      value
+    },
+    {
+      type: "users_select",
+      action_id: INCIDENT_ACTIONS.assign,
+      placeholder: {
+        type: "plain_text",
+        text: "Assign to…",
+        emoji: true
       }
-    ]
-  };
-
-  // Action buttons
-  const actions = {
-    type: "actions",
-    elements: [
-      {
-        type: "button",
+    },
+    {
+      type: "button",
+      action_id: INCIDENT_ACTIONS.escalate,
+      text: {
+        type: "plain_text",
+        text: "🚨 Escalate",
+        emoji: true
+      },
+      style: "danger",
+      value,
+      confirm: {
+        title: {
+          type: "plain_text",
+          text: "Escalate incident?"
+        },
         text: {
+          type: "mrkdwn",
+          text: "This reposts the incident to the escalation channel."
+        },
+        confirm: {
           type: "plain_text",
-          text: "View in MCP",
-          emoji: true
+          text: "Escalate"
         },
-        url: `https://mycarrierpackets.com/carriers/${eventData.carrier.dotNumber}/packets/${eventData.packetDetail?.packetId || eventData.packetDetail?.id || ''}`,
-        style: "primary"
-      }
-    ]
-  };
-
-  return {
-    blocks: [
-      packetCompletedHeader,
-      {
-        type: "divider"
-      },
-      carrierSection,
-      packetDetails,
-      customerSection,
-      contextSection,
-      actions
-    ],
-    attachments: [
-      {
-        color: "#36C5F0",
-        blocks: []
+        deny: {
+          type: "plain_text",
+          text: "Cancel"
+        }
       }
-    ],
-    fallbackText: `🎉 Carrier Packet Completed - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
-  };
+    }
+  ];
 }
 
 /**
- * Format message for carrier.incident_report.created event
+ * Show the triage state (who acknowledged, assignee, escalation) on an incident alert.
+ * Replaces an earlier triage block, placing it just above the triage controls, and
+ * preselects the assignee in the "Assign to…" menu.
+ * @param {object[]} blocks - Blocks of the alert message (as formatted or as returned by Slack)
+ * @param {object} triage - Triage state from the audit log
+ * @returns {object[]} - New blocks
  */
-function formatIncidentReportCreatedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const incidentReportHeader = {
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: "⚠️ New Incident Report Created",
-      emoji: true
-    }
-  };
-
-  const incidentDetails = {
-    type: "section",
-    fields: [
-      {
-        type: "mrkdwn",
-        text: `*Incident Type:* ${eventData.incidentReportDetail?.incidentType || 'N/A'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Incident Date:* ${eventData.incidentReportDetail?.incidentDatetime ? new Date(eventData.incidentReportDetail.incidentDatetime).toLocaleString() : 'N/A'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Status:* ${eventData.incidentReportDetail?.status || 'New'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Reporter:* ${eventData.incidentReportDetail?.reportedBy || 'Anonymous'}`
-      }
-    ]
-  };
+function applyIncidentTriage(blocks, triage) {
+  const elements = [];
+  if (triage.acknowledgedBy) {
+    elements.push(`✅ Acknowledged by <@${triage.acknowledgedBy}> at *${formatSlackDate(triage.acknowledgedAt)}*`);
+  }
+  if (triage.assignee) {
+    elements.push(`👤 Assigned to <@${triage.assignee}> by <@${triage.assignedBy}>`);
+  }
+  if (triage.escalatedBy) {
+    elements.push(`🚨 Escalated${triage.escalationChannel ? ` to <#${triage.escalationChannel}>` : ''} by <@${triage.escalatedBy}> at *${formatSlackDate(triage.escalatedAt)}*`);
+  }
 
-  const actions = {
-    type: "actions",
-    elements: [
-      {
-        type: "button",
-        text: {
-          type: "plain_text",
-          text: "View Incident",
-          emoji: true
-        },
-        url: `https://mycarrierpackets.com/incident-reports/${eventData.incidentReportDetail?.incidentReportID || ''}`,
-        style: "primary"
+  const result = blocks
+    .filter(block => block.block_id !== INCIDENT_TRIAGE_BLOCK_ID)
+    .map(block => {
+      if (block.type !== 'actions' || !triage.assignee) {
+        return block;
       }
-    ]
-  };
+      return {
+        ...block,
+        elements: block.elements.map(element => (element.action_id === INCIDENT_ACTIONS.assign
+          ? { ...element, initial_user: triage.assignee }
+          : element))
+      };
+    });
 
-  return {
-    blocks: [
-      incidentReportHeader,
-      {
-        type: "divider"
-      },
-      carrierSection,
-      incidentDetails,
-      customerSection,
-      contextSection,
-      actions
-    ],
-    attachments: [
-      {
-        color: "#E01E5A",
-        blocks: []
-      }
-    ],
-    fallbackText: `⚠️ New Incident Report Created - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
-  };
+  if (elements.length > 0) {
+    const actionsIndex = result.findIndex(block => block.type === 'actions'
+      && block.elements.some(element => element.action_id === INCIDENT_ACTIONS.assign));
+    result.splice(actionsIndex === -1 ? result.length : actionsIndex, 0, {
+      type: "context",
+      block_id: INCIDENT_TRIAGE_BLOCK_ID,
+      elements: elements.map(text => ({ type: "mrkdwn", text }))
+    });
+  }
+  return result;
 }
 
 /**
- * Format message for carrier.incident_report.updated event
+ * Remove the triage controls from an incident alert, e.g. once it is retracted
+ * @param {object[]} blocks - Blocks of the alert message
+ * @returns {object[]} - New blocks, keeping the other buttons
  */
-function formatIncidentReportUpdatedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const incidentReportHeader = {
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: "🔄 Incident Report Updated",
-      emoji: true
-    }
-  };
-
-  const incidentDetails = {
-    type: "section",
-    fields: [
-      {
-        type: "mrkdwn",
-        text: `*Incident Type:* ${eventData.incidentReportDetail?.incidentType || 'N/A'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Incident Date:* ${eventData.incidentReportDetail?.incidentDatetime ? new Date(eventData.incidentReportDetail.incidentDatetime).toLocaleString() : 'N/A'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Status:* ${eventData.incidentReportDetail?.status || 'Updated'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Reporter:* ${eventData.incidentReportDetail?.reportedBy || 'Anonymous'}`
-      }
-    ]
-  };
+function removeIncidentControls(blocks) {
+  const interactive = Object.values(INCIDENT_ACTIONS);
+  return blocks
+    .map(block => (block.type === 'actions'
+      ? { ...block, elements: block.elements.filter(element => !interactive.includes(element.action_id)) }
+      : block))
+    .filter(block => block.type !== 'actions' || block.elements.length > 0);
+}
 
-  const actions = {
-    type: "actions",
+/**
+ * Context section with the event time and, when set, the MCP account
+ * @param {object} view - Event view
+ * @returns {object} - Block Kit context block
+ */
+function buildContextSection(view) {
+  const contextSection = {
+    type: "context",
     elements: [
       {
-        type: "button",
-        text: {
-          type: "plain_text",
-          text: "View Incident",
-          emoji: true
-        },
-        url: `https://mycarrierpackets.com/incident-reports/${eventData.incidentReportDetail?.incidentReportID || ''}`,
-        style: "primary"
+        type: "mrkdwn",
+        text: `Event occurred at *${formatSlackDate(view.occurredAt)}*`
       }
     ]
   };
 
-  return {
-    blocks: [
-      incidentReportHeader,
-      {
-        type: "divider"
-      },
-      carrierSection,
-      incidentDetails,
-      customerSection,
-      contextSection,
-      actions
-    ],
-    attachments: [
-      {
-        color: "#ECB22E",
-        blocks: []
-      }
-    ],
-    fallbackText: `🔄 Incident Report Updated - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
-  };
+  // Identify the MCP account when several are served by one app
+  if (view.tenantName) {
+    contextSection.elements.push({
+      type: "mrkdwn",
+      text: `MCP account: *${view.tenantName}*`
+    });
+  }
+  return contextSection;
 }
 
 /**
- * Format message for carrier.incident_report.retracted event
+ * Render the action elements of a view `actions` block
+ * @param {Array<object>} elements - Links and incident controls
+ * @returns {Array<object>} - Block Kit action elements
  */
-function formatIncidentReportRetractedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const incidentReportHeader = {
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: "❌ Incident Report Retracted",
-      emoji: true
+function renderActionElements(elements) {
+  return elements.flatMap(element => {
+    if (element.type === 'incident_controls') {
+      return buildIncidentActionElements(element.incidentReportID);
     }
-  };
-
-  const incidentDetails = {
-    type: "section",
-    fields: [
-      {
-        type: "mrkdwn",
-        text: `*Incident Type:* ${eventData.incidentReportDetail?.incidentType || 'N/A'}`
+    const button = {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: element.text,
+        emoji: true
       },
-      {
-        type: "mrkdwn",
-        text: `*Incident Date:* ${eventData.incidentReportDetail?.incidentDatetime ? new Date(eventData.incidentReportDetail.incidentDatetime).toLocaleString() : 'N/A'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Retraction Reason:* ${eventData.incidentReportDetail?.retractionReason || 'Not specified'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Retracted By:* ${eventData.incidentReportDetail?.retractedBy || 'System'}`
-      }
-    ]
-  };
+      url: element.url
+    };
+    if (element.style) {
+      button.style = element.style;
+    }
+    return [button];
+  });
+}
 
-  const actions = {
-    type: "actions",
-    elements: [
-      {
-        type: "button",
-        text: {
-          type: "plain_text",
-          text: "View Details",
-          emoji: true
-        },
-        url: `https://mycarrierpackets.com/incident-reports/${eventData.incidentReportDetail?.incidentReportID || ''}`,
-        style: "primary"
-      }
-    ]
-  };
+/**
+ * Render an event view as a Slack message
+ * @param {object} view - Event view, as built by buildEventView
+ * @returns {object} - Formatted Slack message with blocks, attachments and fallback text
+ */
+function renderSlackMessage(view) {
+  const blocks = view.blocks.map(block => {
+    switch (block.type) {
+      case 'header':
+        return {
+          type: "header",
+          text: {
+            type: "plain_text",
+            text: view.title,
+            emoji: true
+          }
+        };
+      case 'divider':
+        return { type: "divider" };
+      case 'carrier':
+        return buildCarrierSection(view.carrier);
+      case 'customer':
+        return buildCustomerSection({ companyName: view.customer.name, customerID: view.customer.id });
+      case 'context':
+        return buildContextSection(view);
+      case 'details':
+        return {
+          type: "section",
+          fields: block.fields.map(field => ({
+            type: "mrkdwn",
+            text: `*${renderRichText(field.label, MRKDWN_TEXT)}:* ${renderRichText(field.value, MRKDWN_TEXT)}`
+          }))
+        };
+      case 'note':
+        return {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: renderRichText(block.text, MRKDWN_NOTE)
+            }
+          ]
+        };
+      case 'actions':
+        return {
+          type: "actions",
+          elements: renderActionElements(block.elements)
+        };
+      default:
+        return null;
+    }
+  }).filter(Boolean);
 
+  const fallbackText = renderRichText(view.summary, { escape: escapeSlackText, formatDate: formatSlackDate });
   return {
-    blocks: [
-      incidentReportHeader,
-      {
-        type: "divider"
-      },
-      carrierSection,
-      incidentDetails,
-      customerSection,
-      contextSection,
-      actions
-    ],
+    blocks,
     attachments: [
       {
-        color: "#7B7B7B",
+        color: view.color,
         blocks: []
       }
     ],
-    fallbackText: `❌ Incident Report Retracted - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
+    fallbackText: view.tenantName ? `[${view.tenantName}] ${fallbackText}` : fallbackText
   };
 }
 
 /**
- * Format message for carrier.vin_verification.completed event
+ * Format a Slack message for an MCP event from the template for its event type
+ * (see utils/eventView.js)
+ * @param {string} eventType - The MCP webhook event type
+ * @param {string} eventDateTime - ISO 8601 timestamp of the event
+ * @param {object} eventData - The event data payload
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.tenantName] - MCP account the event came from, shown when set
+ * @param {Array<object>} [options.mentions] - Mentions to add, as returned by the router's
+ *                                             mentions() ({ mentions, note } per rule)
+ * @returns {object} - Formatted Slack message with blocks, attachments and fallback text
  */
-function formatVinVerificationCompletedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const vinVerificationHeader = {
-    type: "header",
+function formatSlackMessage(eventType, eventDateTime, eventData, options = {}) {
+  const message = renderSlackMessage(buildEventView(eventType, eventDateTime, eventData, options));
+  if (options.mentions && options.mentions.length > 0) {
+    addMentions(message, options.mentions);
+  }
+  return message;
+}
+
+/**
+ * Tag user groups and users on a formatted message. The mentions go in a section right
+ * below the header and at the start of the fallback text, which is what Slack uses for
+ * notifications.
+ * @param {object} message - Formatted message, modified in place
+ * @param {Array<object>} mentionRules - { mentions, note } per matching mention rule
+ */
+function addMentions(message, mentionRules) {
+  const mentionSection = {
+    type: "section",
     text: {
-      type: "plain_text",
-      text: "🚚 VIN Verification Completed",
-      emoji: true
+      type: "mrkdwn",
+      text: mentionRules
+        .map(rule => `🔔 ${rule.mentions.join(' ')}${rule.note ? ` ${rule.note}` : ''}`)
+        .join('\n')
     }
   };
+  message.blocks.splice(1, 0, mentionSection);
 
-  const vinDetails = {
-    type: "section",
-    fields: [
-      {
-        type: "mrkdwn",
-        text: `*VIN:* ${eventData.vinVerificationDetail?.vin || 'N/A'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Status:* ${eventData.vinVerificationDetail?.vinVerificationStatus || 'Completed'}`
-      }
-    ]
-  };
+  const mentions = [...new Set(mentionRules.flatMap(rule => rule.mentions))];
+  message.fallbackText = `${mentions.join(' ')} ${message.fallbackText}`;
+}
 
-  // Add additional VIN verification details if available
-  if (eventData.vinVerificationDetail?.vinVerificationStatus === 'VINBelongsToAnotherCarrier') {
-    vinDetails.fields.push({
-      type: "mrkdwn",
-      text: `*Other DOT:* ${eventData.vinVerificationDetail?.otherDOTNumber || 'N/A'}`
-    });
+/**
+ * Format the parent message of an incident report thread for its current status.
+ * Used with chat.update to edit the original "created" alert when the incident is
+ * updated or retracted; once retracted, the details are struck through and greyed out.
+ * @param {string} eventType - The incident event that changed the status
+ * @param {string} eventDateTime - ISO 8601 timestamp of the event
+ * @param {object} eventData - The event data payload; incidentReportDetail should already be
+ *                             merged with the details known from earlier events
+ * @param {object} [options] - Formatting options, as for formatSlackMessage
+ * @param {object} [options.triage] - Triage state to show (see applyIncidentTriage)
+ * @returns {object} - Formatted Slack message with blocks, attachments and fallback text
+ */
+function formatIncidentParentMessage(eventType, eventDateTime, eventData, options = {}) {
+  const detail = eventData.incidentReportDetail || {};
+  const retracted = eventType === 'carrier.incident_report.retracted';
+  const status = retracted ? 'Retracted' : (detail.status || 'Updated');
+
+  // The status is event data, so it is escaped wherever the header is shown
+  const header = retracted
+    ? [{ text: '❌ Incident Report Retracted', trusted: true }]
+    : [{ text: '⚠️ Incident Report: ', trusted: true }, { text: status }];
+  const message = formatSlackMessage(
+    'carrier.incident_report.created',
+    eventDateTime,
+    { ...eventData, incidentReportDetail: { ...detail, status } },
+    { ...options, header }
+  );
+
+  if (retracted) {
+    // Strike through every detail so the retracted report reads as void at a glance
+    message.blocks
+      .filter(block => block.type === 'section' && block.fields)
+      .forEach(block => {
+        block.fields = block.fields.map(field => ({ ...field, text: `~${field.text.trim()}~` }));
+      });
+    message.attachments[0].color = "#7B7B7B";
+    // Nothing left to triage
+    message.blocks = removeIncidentControls(message.blocks);
+  } else {
+    message.attachments[0].color = "#ECB22E";
   }
 
-  // Location information if available
-  let locationSection = null;
-  if (eventData.vinVerificationDetail?.imageUploadedGeolocation) {
-    const geo = eventData.vinVerificationDetail.imageUploadedGeolocation;
-    locationSection = {
-      type: "section",
-      fields: [
-        {
-          type: "mrkdwn",
-          text: `*Image Location:* ${geo.latitude}, ${geo.longitude}`
-        },
-        {
-          type: "mrkdwn",
-          text: `*Location Method:* ${geo.method || 'N/A'}`
-        }
-      ]
-    };
+  if (options.triage) {
+    message.blocks = applyIncidentTriage(message.blocks, options.triage);
   }
+  return message;
+}
 
-  const actions = {
-    type: "actions",
-    elements: [
-      {
-        type: "button",
-        text: {
-          type: "plain_text",
-          text: "View in MCP",
-          emoji: true
-        },
-        url: `https://mycarrierpackets.com/carriers/${eventData.carrier.dotNumber}/vehicles`,
-        style: "primary"
-      }
-    ]
-  };
+// Keep digests well inside Slack's 50-block limit
+const MAX_DIGEST_CUSTOMERS = 15;
+const MAX_DIGEST_CARRIERS_PER_CUSTOMER = 10;
 
-  const blocks = [
-    vinVerificationHeader,
+/**
+ * Format a digest summarizing buffered events of one type, grouped by customer
+ * @param {string} eventType - The MCP webhook event type
+ * @param {object[]} entries - Buffered events, each { eventDateTime, carrier, customer }
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.tenantName] - MCP account the events came from, shown when set
+ * @param {string} [options.since] - ISO 8601 start of the digest period
+ * @param {string} [options.until] - ISO 8601 end of the digest period
+ * @returns {object} - Formatted Slack message with blocks, attachments and fallback text
+ */
+function formatDigestMessage(eventType, entries, options = {}) {
+  const title = `${digestTitle(eventType)} Digest`;
+
+  // Group by customer, busiest customers first
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = String(entry.customer?.customerID ?? 'unknown');
+    if (!groups.has(key)) {
+      groups.set(key, { customer: entry.customer || { companyName: 'Unknown customer', customerID: 'N/A' }, carriers: new Map(), count: 0 });
+    }
+    const group = groups.get(key);
+    group.count += 1;
+    const carrierKey = String(entry.carrier?.dotNumber ?? entry.carrier?.legalName);
+    const seen = group.carriers.get(carrierKey);
+    group.carriers.set(carrierKey, { carrier: entry.carrier, count: seen ? seen.count + 1 : 1 });
+  });
+  const sortedGroups = [...groups.values()].sort((a, b) => b.count - a.count);
+
+  const contextElements = [
     {
-      type: "divider"
-    },
-    carrierSection,
-    vinDetails
+      type: "mrkdwn",
+      text: `*${entries.length}* event(s) for *${groups.size}* customer(s)${options.since ? ` between *${formatSlackDate(options.since)}* and *${formatSlackDate(options.until || Date.now())}*` : ''}`
+    }
   ];
-
-  if (locationSection) {
-    blocks.push(locationSection);
+  if (options.tenantName) {
+    contextElements.push({
+      type: "mrkdwn",
+      text: `MCP account: *${options.tenantName}*`
+    });
   }
 
-  blocks.push(customerSection, contextSection, actions);
-
-  return {
-    blocks: blocks,
-    attachments: [
-      {
-        color: "#2EB67D",
-        blocks: []
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: title,
+        emoji: true
       }
-    ],
-    fallbackText: `🚚 VIN Verification Completed - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
-  };
-}
-
-/**
- * Format message for carrier.user_verification.completed event
- */
-function formatUserVerificationCompletedMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const userVerificationHeader = {
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: "👤 User Verification Completed",
-      emoji: true
+    },
+    {
+      type: "context",
+      elements: contextElements
     }
-  };
-
-  const userDetails = {
-    type: "section",
-    fields: [
-      {
-        type: "mrkdwn",
-        text: `*Name:* ${eventData.userVerificationDetail?.firstName || ''} ${eventData.userVerificationDetail?.lastName || ''}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Role:* ${eventData.userVerificationDetail?.role || 'N/A'} ${eventData.userVerificationDetail?.otherRole ? `(${eventData.userVerificationDetail.otherRole})` : ''}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Status:* ${eventData.userVerificationDetail?.verificationStatus || 'Completed'}`
-      },
-      {
-        type: "mrkdwn",
-        text: `*Phone:* ${eventData.userVerificationDetail?.phoneNumber || 'N/A'}`
-      }
-    ]
-  };
-
-  // Add verification timestamp if available
-  const verificationTimestamp = eventData.userVerificationDetail?.verificationDatetime
-    ? new Date(eventData.userVerificationDetail.verificationDatetime).toLocaleString()
-    : formattedDate;
-
-  const verificationTimestampSection = {
-    type: "context",
-    elements: [
-      {
-        type: "mrkdwn",
-        text: `Verification completed at *${verificationTimestamp}*`
-      }
-    ]
-  };
-
-  const actions = {
-    type: "actions",
-    elements: [
-      {
-        type: "button",
-        text: {
-          type: "plain_text",
-          text: "View in MCP",
-          emoji: true
-        },
-        url: `https://mycarrierpackets.com/carriers/${eventData.carrier.dotNumber}/users`,
-        style: "primary"
-      }
-    ]
-  };
-
-  // Status-based color coding
-  let color = "#2EB67D"; // Default green for verified
-  if (eventData.userVerificationDetail?.verificationStatus === 'Denied') {
-    color = "#E01E5A"; // Red for denied
-  } else if (eventData.userVerificationDetail?.verificationStatus === 'FollowUp' || 
-             eventData.userVerificationDetail?.verificationStatus === 'Pending') {
-    color = "#ECB22E"; // Yellow for follow-up/pending
-  }
+  ];
 
-  return {
-    blocks: [
-      userVerificationHeader,
-      {
-        type: "divider"
-      },
-      carrierSection,
-      userDetails,
-      customerSection,
-      verificationTimestampSection,
-      contextSection,
-      actions
-    ],
-    attachments: [
-      {
-        color: color,
-        blocks: []
-      }
-    ],
-    fallbackText: `👤 User Verification Completed - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
-  };
-}
+  sortedGroups.slice(0, MAX_DIGEST_CUSTOMERS).forEach(group => {
+    const customerSection = buildCustomerSection(group.customer);
+    customerSection.fields.push({
+      type: "mrkdwn",
+      text: `*Events:* ${group.count}`
+    });
 
-/**
- * Default formatter for unknown event types
- */
-function formatDefaultMessage(eventType, formattedDate, eventData, carrierSection, customerSection, contextSection) {
-  const genericHeader = {
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: `📢 MCP Event: ${eventType}`,
-      emoji: true
+    const carriers = [...group.carriers.values()];
+    const lines = carriers.slice(0, MAX_DIGEST_CARRIERS_PER_CUSTOMER).map(({ carrier, count }) =>
+      `• ${escapeMrkdwn(formatCarrierName(carrier).trim())} · DOT ${escapeMrkdwn(carrier.dotNumber)} · MC ${carrier.docketNumber ? escapeMrkdwn(carrier.docketNumber) : 'N/A'}${count > 1 ? ` (×${count})` : ''}`
+    );
+    if (carriers.length > MAX_DIGEST_CARRIERS_PER_CUSTOMER) {
+      lines.push(`_…and ${carriers.length - MAX_DIGEST_CARRIERS_PER_CUSTOMER} more carrier(s)_`);
     }
-  };
 
-  const actions = {
-    type: "actions",
-    elements: [
+    blocks.push(
+      { type: "divider" },
+      customerSection,
       {
-        type: "button",
+        type: "section",
         text: {
-          type: "plain_text",
-          text: "View in MCP",
-          emoji: true
-        },
-        url: `https://mycarrierpackets.com/carriers/${eventData.carrier.dotNumber}`,
-        style: "primary"
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
       }
-    ]
-  };
+    );
+  });
+
+  if (sortedGroups.length > MAX_DIGEST_CUSTOMERS) {
+    const remaining = sortedGroups.slice(MAX_DIGEST_CUSTOMERS);
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `…and ${remaining.length} more customer(s) with ${remaining.reduce((sum, group) => sum + group.count, 0)} event(s)`
+        }
+      ]
+    });
+  }
 
   return {
-    blocks: [
-      genericHeader,
-      {
-        type: "divider"
-      },
-      carrierSection,
-      customerSection,
-      contextSection,
-      actions
-    ],
+    blocks,
     attachments: [
       {
-        color: "#9B59B6",
+        color: "#36C5F0",
         blocks: []
       }
     ],
-    fallbackText: `📢 MCP Event: ${eventType} - ${eventData.carrier.legalName} (DOT: ${eventData.carrier.dotNumber})`
+    fallbackText: `${options.tenantName ? `[${options.tenantName}] ` : ''}${escapeSlackText(title)} - ${entries.length} event(s) for ${groups.size} customer(s)`
   };
 }
 
 module.exports = {
-  formatSlackMessage
+  formatCarrierName,
+  buildCarrierSection,
+  buildCustomerSection,
+  renderSlackMessage,
+  formatSlackMessage,
+  formatIncidentParentMessage,
+  applyIncidentTriage,
+  removeIncidentControls,
+  INCIDENT_ACTIONS,
+  INCIDENT_TRIAGE_BLOCK_ID,
+  EVENT_LABELS,
+  formatDigestMessage
 };
\ No newline at end of file
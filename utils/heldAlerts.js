@@ -0,0 +1,134 @@
+/**
+ * @module utils/heldAlerts
+ * @description Holds alerts that arrive during a policy's quiet hours.
+ *
+ * Held alerts are kept in arrival order in a JSON file, so they survive restarts. A
+ * periodic check asks `isQuiet` whether each alert's policy is still in its quiet hours
+ * and hands the alerts whose quiet period is over to `release` (typically to queue them
+ * for delivery), in the order they arrived.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Create a held alert store
+ * @param {object} options - Store options
+ * @param {string} options.file - JSON file holding the alerts
+ * @param {function} options.isQuiet - Function receiving a held alert and returning whether
+ *                                     its policy's quiet hours are still in effect
+ * @param {function} options.release - Async function receiving an alert whose quiet hours ended
+ * @param {number} [options.checkIntervalMs] - How often to look for alerts to release
+ * @returns {object} - Store with hold, start, stop and pending methods
+ */
+function createHeldAlerts({ file, isQuiet, release, checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS }) {
+  let alerts = [];
+  let timer = null;
+  let releasing = null;
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    alerts = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Quiet Hours] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    // Each save writes the alerts as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(alerts, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Hold an alert until its policy's quiet hours end
+   * @param {object} alert - Alert to hold
+   * @param {string} alert.tenantId - Tenant the alert belongs to
+   * @param {string} alert.policy - Name of the policy that holds it
+   * @param {object} alert.payload - Delivery queue payload
+   * @param {object} alert.meta - Delivery queue metadata
+   * @returns {Promise<object>} - The held alert
+   */
+  async function hold({ tenantId, policy, payload, meta }) {
+    const alert = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      tenantId,
+      policy,
+      heldAt: new Date().toISOString(),
+      payload,
+      meta
+    };
+    alerts.push(alert);
+    await save();
+    return alert;
+  }
+
+  async function releaseDue() {
+    for (const alert of [...alerts]) {
+      if (isQuiet(alert)) {
+        continue;
+      }
+      try {
+        await release(alert);
+        alerts = alerts.filter(held => held.id !== alert.id);
+        await save();
+        console.log(`[Quiet Hours] Released ${alert.meta.eventType} for ${alert.payload.channel} held since ${alert.heldAt} (tenant ${alert.tenantId})`);
+      } catch (error) {
+        // Keep it; the next check tries again
+        console.error(`[Quiet Hours] Could not release held alert ${alert.id}:`, error);
+      }
+    }
+  }
+
+  function check() {
+    if (!releasing) {
+      releasing = releaseDue().finally(() => {
+        releasing = null;
+      });
+    }
+    return releasing;
+  }
+
+  /**
+   * Start checking for alerts to release (those whose quiet hours ended while down go right away)
+   */
+  function start() {
+    timer = setInterval(check, checkIntervalMs);
+    timer.unref();
+    return check();
+  }
+
+  /**
+   * Stop checking and wait for a release in progress
+   */
+  async function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (releasing) {
+      await releasing;
+    }
+  }
+
+  return {
+    hold,
+    start,
+    stop,
+    pending: () => alerts.length
+  };
+}
+
+module.exports = {
+  createHeldAlerts
+};
@@ -0,0 +1,138 @@
+/**
+ * @module utils/incidentActions
+ * @description Bolt listeners for the triage controls on incident report alerts.
+ *
+ * - Acknowledge stamps who acknowledged the incident and when (and stops re-posts of a
+ *   critical alert, see utils/escalation.js)
+ * - Assign to… records the user picked in the users select
+ * - Escalate reposts the incident to the escalation channel
+ *
+ * Every action is recorded in the audit log and the alert is updated in place with
+ * `chat.update` to show the resulting triage state.
+ */
+const { applyIncidentTriage, removeIncidentControls, INCIDENT_ACTIONS, INCIDENT_TRIAGE_BLOCK_ID } = require('./formatters');
+const { fitBlockLimits } = require('./blockLimits');
+
+/**
+ * Fit a payload within the Block Kit limits, logging what had to be trimmed
+ * @param {object} payload - chat.postMessage or chat.update payload
+ * @param {string} what - What the payload is, for the log line
+ * @returns {object} - The payload to send
+ */
+function fitPayload(payload, what) {
+  const { payload: fitted, changes } = fitBlockLimits(payload);
+  if (changes.length > 0) {
+    console.warn(`[Incident Actions] Trimmed ${what} to fit Slack's Block Kit limits: ${changes.join('; ')}`);
+  }
+  return fitted;
+}
+
+/**
+ * Incident report ID of the alert an action was taken on
+ * @param {object} body - Action payload
+ * @returns {string|null} - The ID from the button value, or from the alert's acknowledge button
+ */
+function getIncidentReportID(body) {
+  if (body.actions[0].value) {
+    return body.actions[0].value;
+  }
+  for (const block of body.message?.blocks || []) {
+    const button = (block.elements || []).find(element => element.action_id === INCIDENT_ACTIONS.acknowledge);
+    if (button) {
+      return button.value || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Register the incident triage listeners on the Bolt app
+ * @param {object} app - Bolt App
+ * @param {object} deps - Dependencies
+ * @param {object} deps.auditLog - Audit log (see utils/auditLog.js)
+ * @param {object} [deps.escalations] - Escalation tracker, acknowledged along with the incident
+ * @param {string} [deps.escalationChannel] - Channel escalated incidents are reposted to (SLACK_ESCALATION_CHANNEL)
+ */
+function registerIncidentActions(app, { auditLog, escalations, escalationChannel }) {
+  /**
+   * Record an action and update the alert in place to show the new triage state
+   */
+  async function recordAndUpdate(body, client, entry) {
+    const channel = body.channel.id;
+    const ts = body.message.ts;
+
+    await auditLog.record({
+      ...entry,
+      user: body.user.id,
+      channel,
+      ts,
+      incidentReportID: getIncidentReportID(body)
+    });
+
+    await client.chat.update(fitPayload({
+      channel,
+      ts,
+      text: body.message.text,
+      blocks: applyIncidentTriage(body.message.blocks, auditLog.triage(channel, ts)),
+      attachments: body.message.attachments
+    }, 'triage update'));
+  }
+
+  function listen(actionId, handler) {
+    app.action(actionId, async ({ ack, body, client, respond }) => {
+      await ack();
+      if (!body.message || !body.channel) {
+        return; // only alerts posted in channels can be triaged
+      }
+      try {
+        await handler(body, client, respond);
+      } catch (error) {
+        console.error(`[Incident Actions] Error handling ${actionId}:`, error);
+        await respond({ response_type: 'ephemeral', replace_original: false, text: 'Sorry, that action could not be completed.' });
+      }
+    });
+  }
+
+  listen(INCIDENT_ACTIONS.acknowledge, async (body, client) => {
+    await recordAndUpdate(body, client, { action: 'acknowledge' });
+    if (escalations) {
+      await escalations.acknowledge(body.channel.id, body.message.ts, body.user.id);
+    }
+  });
+
+  listen(INCIDENT_ACTIONS.assign, async (body, client) => {
+    await recordAndUpdate(body, client, { action: 'assign', assignee: body.actions[0].selected_user });
+  });
+
+  listen(INCIDENT_ACTIONS.escalate, async (body, client, respond) => {
+    if (!escalationChannel) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: 'No escalation channel is configured (SLACK_ESCALATION_CHANNEL).' });
+      return;
+    }
+
+    const { permalink } = await client.chat.getPermalink({ channel: body.channel.id, message_ts: body.message.ts });
+    const incidentReportID = getIncidentReportID(body);
+    const posted = await client.chat.postMessage(fitPayload({
+      channel: escalationChannel,
+      text: `🚨 Incident ${incidentReportID || ''} escalated by <@${body.user.id}>: ${body.message.text}`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🚨 <@${body.user.id}> escalated this incident from <#${body.channel.id}>. <${permalink}|View original alert>`
+          }
+        },
+        // The original alert, without its triage state and controls
+        ...removeIncidentControls(body.message.blocks.filter(block => block.block_id !== INCIDENT_TRIAGE_BLOCK_ID))
+      ],
+      attachments: body.message.attachments
+    }, 'escalated incident'));
+
+    await recordAndUpdate(body, client, { action: 'escalate', escalationChannel: posted.channel || escalationChannel });
+  });
+}
+
+module.exports = {
+  registerIncidentActions
+};
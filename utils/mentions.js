@@ -0,0 +1,93 @@
+/**
+ * @module utils/mentions
+ * @description Configurable mention rules that tag Slack user groups or users on risky events.
+ *
+ * Mention rules live in the routing file under `mentions`. Every rule whose `match`
+ * conditions (see utils/eventMatch.js) fit the event adds its user groups and users to
+ * the alert, with an optional note explaining why:
+ *
+ * @example
+ * {
+ *   "mentions": [
+ *     {
+ *       "name": "vin-conflict",
+ *       "match": {
+ *         "eventType": "carrier.vin_verification.completed",
+ *         "fields": { "vinVerificationDetail.vinVerificationStatus": "VINBelongsToAnotherCarrier" }
+ *       },
+ *       "usergroups": ["S0123COMPL"],
+ *       "note": "VIN belongs to another carrier"
+ *     }
+ *   ]
+ * }
+ *
+ * Only IDs are configured (`S…` for user groups, `U…`/`W…` for users); the Slack mention
+ * syntax is built here, so event data can never inject a mention.
+ */
+const { CONDITION_KEYS, matchesConditions } = require('./eventMatch');
+
+const USERGROUP_ID = /^S[A-Z0-9]+$/;
+const USER_ID = /^[UW][A-Z0-9]+$/;
+
+/**
+ * Validate mention rules, throwing a descriptive error for the first problem found
+ * @param {Array<object>} [rules] - Mention rules from the routing file
+ */
+function validateMentionRules(rules) {
+  if (rules === undefined) {
+    return;
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('Routing "mentions" must be an array.');
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `Mention rule ${rule && rule.name ? `"${rule.name}"` : `#${index + 1}`}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} must be an object.`);
+    }
+    const usergroups = rule.usergroups || [];
+    const users = rule.users || [];
+    if (usergroups.length === 0 && users.length === 0) {
+      throw new Error(`${label} must list at least one ID in "usergroups" or "users".`);
+    }
+    const badGroup = usergroups.find(id => !USERGROUP_ID.test(id));
+    if (badGroup) {
+      throw new Error(`${label} has an invalid user group ID "${badGroup}" (expected e.g. S0123ABC).`);
+    }
+    const badUser = users.find(id => !USER_ID.test(id));
+    if (badUser) {
+      throw new Error(`${label} has an invalid user ID "${badUser}" (expected e.g. U0123ABC).`);
+    }
+    const unknownKeys = Object.keys(rule.match || {}).filter(key => !CONDITION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`${label} has unknown match key(s): ${unknownKeys.join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Find the mentions for an event
+ * @param {Array<object>} rules - Mention rules from the routing file
+ * @param {string} eventType - The MCP event type
+ * @param {object} eventData - The event data payload
+ * @returns {Array<object>} - One { name, mentions, note } per matching rule, with mentions
+ *                            already in Slack syntax (`<!subteam^S…>`, `<@U…>`)
+ */
+function resolveMentions(rules, eventType, eventData) {
+  return (rules || [])
+    .filter(rule => matchesConditions(rule.match, eventType, eventData))
+    .map(rule => ({
+      name: rule.name || null,
+      mentions: [
+        ...(rule.usergroups || []).map(id => `<!subteam^${id}>`),
+        ...(rule.users || []).map(id => `<@${id}>`)
+      ],
+      note: rule.note || null
+    }));
+}
+
+module.exports = {
+  validateMentionRules,
+  resolveMentions
+};
@@ -0,0 +1,227 @@
+/**
+ * @module utils/outboundWebhooks
+ * @description Fan-out of verified MCP events to internal systems over signed HTTP webhooks.
+ *
+ * Every matching target receives a normalized JSON envelope of the event (see
+ * buildEnvelope). Requests are signed like MCP signs its own webhooks: an HMAC-SHA256 of
+ * the raw body with the target's secret, sent as `MCP-Signature: sha256=<hex>` (see
+ * generateSignature in utils/verifier.js), so receivers can reuse verifySignature.
+ * Deliveries go through the delivery queue; the outcome of each attempt is kept per
+ * target by the status store.
+ *
+ * Targets are configured in the routing file:
+ *
+ * @example
+ * {
+ *   "outboundWebhooks": [
+ *     { "name": "tms", "urlEnv": "OUTBOUND_URL_TMS", "secretEnv": "OUTBOUND_SECRET_TMS" },
+ *     { "name": "warehouse", "url": "https://dw.internal/mcp", "secretEnv": "OUTBOUND_SECRET_DW",
+ *       "match": { "eventType": "carrier.incident_report.*" }, "timeoutMs": 5000 }
+ *   ]
+ * }
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { generateSignature } = require('./verifier');
+const { version } = require('../package.json');
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_LENGTH = 500;
+
+/**
+ * Build the envelope sent to outbound targets
+ * @param {object} event - The verified event
+ * @param {string} event.deliveryKey - Deduplication key of the MCP webhook, from which the stable envelope ID is derived
+ * @param {object} event.tenant - Tenant the event came from
+ * @param {string} event.eventType - The MCP event type
+ * @param {string} event.eventDateTime - Event timestamp
+ * @param {object} event.eventData - The event data payload
+ * @returns {object} - { id, eventType, eventDateTime, receivedAt, tenant, carrier, customer, data }
+ */
+function buildEnvelope({ deliveryKey, tenant, eventType, eventDateTime, eventData }) {
+  const { carrier, customer } = eventData || {};
+  return {
+    id: `evt_${crypto.createHash('sha256').update(deliveryKey).digest('hex').slice(0, 24)}`,
+    eventType,
+    eventDateTime,
+    receivedAt: new Date().toISOString(),
+    tenant: { id: tenant.id, name: tenant.name },
+    carrier: carrier
+      ? { dotNumber: carrier.dotNumber, docketNumber: carrier.docketNumber || null, legalName: carrier.legalName, dbaName: carrier.dbaName || null }
+      : null,
+    customer: customer ? { customerID: customer.customerID, companyName: customer.companyName } : null,
+    data: eventData
+  };
+}
+
+/**
+ * POST a signed envelope to an outbound target
+ * @param {object} target - { name, url, secret, timeoutMs }
+ * @param {object} envelope - Envelope from buildEnvelope
+ * @returns {Promise<object>} - Promise resolving to { success, statusCode, response }. Rejections
+ *                             carry the statusCode and, for HTTP 429, the Retry-After seconds,
+ *                             like sendWebhookMessage in utils/slackClient.js.
+ */
+function sendOutboundWebhook(target, envelope) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(envelope);
+    const url = new URL(target.url);
+    const client = url.protocol === 'http:' ? http : https;
+    const timeoutMs = target.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': `mcp-alerts/${version}`,
+        'MCP-Signature': generateSignature(body, target.secret),
+        'MCP-Alerts-Event': envelope.eventType,
+        'MCP-Alerts-Delivery': envelope.id
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        const response = responseData.slice(0, MAX_RESPONSE_LENGTH);
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ success: true, statusCode: res.statusCode, response });
+          return;
+        }
+        const failure = { success: false, statusCode: res.statusCode, response };
+        if (res.statusCode === 429) {
+          failure.retryAfter = parseInt(res.headers['retry-after'], 10) || 1;
+        }
+        reject(failure);
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+    });
+
+    req.on('error', (error) => {
+      reject({ success: false, error: error.message });
+    });
+
+    req.end(body);
+  });
+}
+
+/**
+ * Create the delivery status store for outbound targets
+ * @param {object} options - Store options
+ * @param {string} options.file - JSON file holding the status of each target
+ * @returns {object} - Store with recordSuccess, recordFailure, recordDeadLetter and list methods
+ */
+function createOutboundStatus({ file }) {
+  let targets = {};
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    targets = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Outbound] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    // Each save writes the target statuses as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(targets, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  function statusOf(tenantId, name) {
+    const key = `${tenantId}/${name}`;
+    if (!targets[key]) {
+      targets[key] = {
+        tenantId,
+        name,
+        delivered: 0,
+        failedAttempts: 0,
+        deadLettered: 0,
+        consecutiveFailures: 0,
+        lastDeliveredAt: null,
+        lastFailedAt: null,
+        lastStatusCode: null,
+        lastError: null
+      };
+    }
+    return targets[key];
+  }
+
+  /**
+   * Record a delivery the target accepted
+   * @param {string} tenantId - Tenant of the target
+   * @param {string} name - Target name
+   * @param {number} statusCode - HTTP status of the response
+   */
+  async function recordSuccess(tenantId, name, statusCode) {
+    const status = statusOf(tenantId, name);
+    Object.assign(status, {
+      lastDeliveredAt: new Date().toISOString(),
+      lastStatusCode: statusCode,
+      consecutiveFailures: 0
+    });
+    status.delivered += 1;
+    await save();
+  }
+
+  /**
+   * Record a failed delivery attempt (it will be retried by the queue)
+   * @param {string} tenantId - Tenant of the target
+   * @param {string} name - Target name
+   * @param {string} error - Error description
+   * @param {number} [statusCode] - HTTP status of the response, if there was one
+   */
+  async function recordFailure(tenantId, name, error, statusCode) {
+    const status = statusOf(tenantId, name);
+    Object.assign(status, {
+      lastFailedAt: new Date().toISOString(),
+      lastStatusCode: statusCode || null,
+      lastError: error
+    });
+    status.failedAttempts += 1;
+    status.consecutiveFailures += 1;
+    await save();
+  }
+
+  /**
+   * Record a delivery that ran out of attempts and was parked in the dead-letter store
+   * @param {string} tenantId - Tenant of the target
+   * @param {string} name - Target name
+   */
+  async function recordDeadLetter(tenantId, name) {
+    statusOf(tenantId, name).deadLettered += 1;
+    await save();
+  }
+
+  return {
+    recordSuccess,
+    recordFailure,
+    recordDeadLetter,
+    list: () => Object.values(targets)
+  };
+}
+
+module.exports = {
+  buildEnvelope,
+  sendOutboundWebhook,
+  createOutboundStatus
+};
@@ -0,0 +1,132 @@
+/**
+ * @module utils/policies
+ * @description Time-window policies (quiet hours and escalation) for routed alerts.
+ *
+ * Policies are defined in the routing file and attached to routing rules with
+ * `"policy": "<name>"` (or to the default channels with `"defaultPolicy"`):
+ *
+ * @example
+ * {
+ *   "policies": {
+ *     "business-hours": {
+ *       "quietHours": { "start": "18:00", "end": "08:00", "timezone": "America/Chicago", "allDay": ["Sat", "Sun"] },
+ *       "critical": [
+ *         { "eventType": "carrier.incident_report.created" },
+ *         { "eventType": "carrier.user_verification.completed", "fields": { "userVerificationDetail.verificationStatus": "Denied" } }
+ *       ],
+ *       "escalation": { "mention": "<!here>", "repostAfterMinutes": 30, "maxReposts": 3 }
+ *     }
+ *   }
+ * }
+ *
+ * During quiet hours non-critical alerts are held and released when the quiet period
+ * ends. Critical alerts (any entry of `critical` matches, see utils/eventMatch.js) are
+ * always sent immediately with the escalation mention, and re-posted every
+ * `repostAfterMinutes` until someone acknowledges them, at most `maxReposts` times.
+ */
+const { matchesConditions } = require('./eventMatch');
+const { getZonedParts } = require('./schedule');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_MAX_REPOSTS = 3;
+
+// Parse "HH:MM" into minutes after midnight
+function parseTimeOfDay(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${label} must be a time of day such as "18:00" (got ${JSON.stringify(value)}).`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseDay(value, label) {
+  const index = DAY_NAMES.indexOf(String(value).slice(0, 3).toLowerCase());
+  if (index === -1) {
+    throw new Error(`${label} has an unknown day ${JSON.stringify(value)}.`);
+  }
+  return index;
+}
+
+/**
+ * Build a policy from its configuration, validating it
+ * @param {string} name - Policy name
+ * @param {object} config - Policy configuration as described in the module documentation
+ * @param {string} [defaultTimeZone] - Timezone used when quietHours doesn't set one
+ * @returns {object} - Policy with isQuiet(date) and isCritical(eventType, eventData)
+ */
+function createPolicy(name, config, defaultTimeZone) {
+  const label = `Policy "${name}"`;
+  const quiet = config.quietHours;
+  let quietWindow = null;
+
+  if (quiet) {
+    quietWindow = {
+      start: quiet.start !== undefined ? parseTimeOfDay(quiet.start, `${label} quietHours.start`) : null,
+      end: quiet.end !== undefined ? parseTimeOfDay(quiet.end, `${label} quietHours.end`) : null,
+      allDay: (quiet.allDay || []).map(day => parseDay(day, `${label} quietHours.allDay`)),
+      timeZone: quiet.timezone || defaultTimeZone
+    };
+    if ((quietWindow.start === null) !== (quietWindow.end === null)) {
+      throw new Error(`${label} quietHours needs both "start" and "end".`);
+    }
+  }
+
+  const escalation = config.escalation ? {
+    mention: config.escalation.mention || null,
+    repostAfterMinutes: config.escalation.repostAfterMinutes || null,
+    maxReposts: config.escalation.maxReposts !== undefined ? config.escalation.maxReposts : DEFAULT_MAX_REPOSTS
+  } : null;
+
+  /**
+   * Whether the policy's quiet hours are in effect
+   * @param {Date} [date] - Instant to check, defaults to now
+   * @returns {boolean}
+   */
+  function isQuiet(date = new Date()) {
+    if (!quietWindow) {
+      return false;
+    }
+    const parts = getZonedParts(date, quietWindow.timeZone);
+    if (quietWindow.allDay.includes(parts.weekday)) {
+      return true;
+    }
+    if (quietWindow.start === null) {
+      return false;
+    }
+    const minutes = parts.hour * 60 + parts.minute;
+    return quietWindow.start <= quietWindow.end
+      ? minutes >= quietWindow.start && minutes < quietWindow.end
+      : minutes >= quietWindow.start || minutes < quietWindow.end; // window crosses midnight
+  }
+
+  /**
+   * Whether an event is critical under this policy
+   * @param {string} eventType - The MCP event type
+   * @param {object} eventData - The event data payload
+   * @returns {boolean}
+   */
+  function isCritical(eventType, eventData) {
+    return (config.critical || []).some(conditions => matchesConditions(conditions, eventType, eventData));
+  }
+
+  return {
+    name,
+    escalation,
+    isQuiet,
+    isCritical
+  };
+}
+
+/**
+ * Build all policies of a routing configuration
+ * @param {object} [policies] - Map of policy name to configuration
+ * @param {string} [defaultTimeZone] - Timezone used when a policy doesn't set one
+ * @returns {Map<string, object>} - Policies by name
+ */
+function createPolicies(policies = {}, defaultTimeZone) {
+  return new Map(Object.entries(policies).map(([name, config]) => [name, createPolicy(name, config, defaultTimeZone)]));
+}
+
+module.exports = {
+  createPolicies
+};
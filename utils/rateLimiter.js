@@ -0,0 +1,83 @@
+/**
+ * @module utils/rateLimiter
+ * @description Shared Slack rate limiter for both delivery transports.
+ *
+ * Slack allows roughly one message per second per channel, with short bursts tolerated,
+ * and answers anything faster with HTTP 429 and a `Retry-After` header. This limiter
+ * spaces posts to the same channel and, once Slack has rate limited either the Web API
+ * or the incoming webhook, holds every post until the `Retry-After` period has passed,
+ * instead of letting the other transport hammer Slack in the meantime.
+ *
+ * The limiter never waits itself: acquire tells the caller how long a post has to wait,
+ * so the delivery queue can put that job off and carry on with the others.
+ */
+
+const DEFAULT_CHANNEL_INTERVAL_MS = 1000;
+
+/**
+ * Extract the Retry-After delay from a transport error, if Slack rate limited the request.
+ * Handles both the Web API client's `slack_webapi_rate_limited_error` and the rejection
+ * objects produced by `sendWebhookMessage`.
+ * @param {*} error - The rejection value from either transport
+ * @returns {number|null} - Delay in milliseconds, or null if the error isn't a rate limit
+ */
+function getRetryAfterMs(error) {
+  if (!error) {
+    return null;
+  }
+  if (error.code === 'slack_webapi_rate_limited_error' || error.statusCode === 429) {
+    const seconds = Number(error.retryAfter);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 1) * 1000;
+  }
+  return null;
+}
+
+/**
+ * Create a rate limiter
+ * @param {object} [options] - Limiter options
+ * @param {number} [options.channelIntervalMs] - Minimum spacing between posts to one channel
+ * @returns {object} - Limiter with acquire, pause and status methods
+ */
+function createRateLimiter({ channelIntervalMs = DEFAULT_CHANNEL_INTERVAL_MS } = {}) {
+  const nextSlotByChannel = new Map();
+  let holdUntil = 0;
+
+  /**
+   * Reserve the slot for a post to the channel if it's allowed now
+   * @param {string} channel - Channel the message will be posted to
+   * @returns {number} - 0 when the slot was reserved, otherwise how many milliseconds to wait
+   *                     before asking again (nothing is reserved)
+   */
+  function acquire(channel) {
+    const key = channel || 'default';
+    const now = Date.now();
+    const readyAt = Math.max(holdUntil, nextSlotByChannel.get(key) || 0);
+    if (readyAt > now) {
+      return readyAt - now;
+    }
+    nextSlotByChannel.set(key, now + channelIntervalMs);
+    return 0;
+  }
+
+  /**
+   * Hold every post for the given period (used when Slack answers 429)
+   * @param {number} ms - How long to hold, normally the Retry-After delay
+   */
+  function pause(ms) {
+    holdUntil = Math.max(holdUntil, Date.now() + ms);
+    console.warn(`[Rate Limiter] Slack rate limit hit, holding deliveries for ${Math.ceil(ms / 1000)}s`);
+  }
+
+  return {
+    acquire,
+    pause,
+    status: () => ({
+      heldUntil: holdUntil > Date.now() ? new Date(holdUntil).toISOString() : null
+    })
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  getRetryAfterMs
+};
@@ -0,0 +1,382 @@
+/**
+ * @module utils/routing
+ * @description Rule-based routing of MCP events to Slack channels, Microsoft Teams and email.
+ *
+ * Rules are evaluated in order. Every matching rule adds its channels to the destination
+ * list (fan-out), and a rule with `"stop": true` ends the evaluation. When no rule
+ * matches, the event goes to the default channels (`SLACK_CHANNEL` unless configured).
+ *
+ * @example <caption>config/routing.json</caption>
+ * {
+ *   "defaultChannels": ["mcp-alerts"],
+ *   "rules": [
+ *     { "name": "safety", "match": { "eventType": "carrier.incident_report.*" }, "channels": ["safety"] },
+ *     { "name": "onboarding", "match": { "eventType": "carrier.packet.completed" }, "channels": ["onboarding"] },
+ *     { "name": "linehaul", "match": { "customerID": 2168 }, "channels": ["cust-linehaul"], "stop": true }
+ *   ]
+ * }
+ *
+ * See utils/eventMatch.js for the conditions supported in `match`.
+ *
+ * Event types can also be switched from "immediate" delivery to "digest" mode, where
+ * events are buffered and summarized on a cron-like schedule (see utils/schedule.js).
+ * Keys are event type patterns; the first matching one applies:
+ *
+ * @example
+ * {
+ *   "deliveryModes": {
+ *     "carrier.packet.completed": { "mode": "digest", "schedule": "0 8 * * *", "timezone": "America/Chicago" }
+ *   }
+ * }
+ *
+ * Rules can also name a quiet hours / escalation policy with `"policy"` (and the default
+ * channels with `"defaultPolicy"`); see utils/policies.js. User group and user mentions
+ * for risky events are configured under `"mentions"`; see utils/mentions.js.
+ *
+ * Microsoft Teams destinations are named under `"teamsWebhooks"`, with their incoming
+ * webhook or workflow URL given inline (`webhookUrl`) or, preferably, through an
+ * environment variable (`webhookUrlEnv`). Rules send to them with `"teams"`, alongside or
+ * instead of `"channels"`, and `"defaultTeams"` receive the events no rule matched:
+ *
+ * @example
+ * {
+ *   "teamsWebhooks": { "safety": { "webhookUrlEnv": "TEAMS_WEBHOOK_SAFETY" } },
+ *   "rules": [
+ *     { "name": "safety", "match": { "eventType": "carrier.incident_report.*" }, "channels": ["safety"], "teams": ["safety"] }
+ *   ]
+ * }
+ *
+ * Rules email their events to the addresses listed in `"email"` (and `"defaultEmail"`
+ * receives the events no rule matched); see utils/emailBatch.js for how they are batched.
+ *
+ * Signed outbound webhooks to internal systems are listed under `"outboundWebhooks"`,
+ * each with its own optional `match`; see utils/outboundWebhooks.js.
+ */
+const fs = require('fs');
+const { CONDITION_KEYS, matchesConditions, matchesEventType } = require('./eventMatch');
+const { parseSchedule } = require('./schedule');
+const { createPolicies } = require('./policies');
+const { validateMentionRules, resolveMentions } = require('./mentions');
+const { resolveSetting } = require('./tenants');
+
+const DELIVERY_MODES = ['immediate', 'digest'];
+const EMAIL_ADDRESS = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const IMMEDIATE = { mode: 'immediate' };
+
+/**
+ * Check a list of email recipients, throwing a descriptive error for the first problem found
+ * @param {*} recipients - Value of an `email` or `defaultEmail` setting
+ * @param {string} label - What the list belongs to, for the error message
+ */
+function validateEmailRecipients(recipients, label) {
+  if (recipients === undefined) {
+    return;
+  }
+  if (!Array.isArray(recipients)) {
+    throw new Error(`${label} must be an array of email addresses.`);
+  }
+  const invalid = recipients.filter(address => typeof address !== 'string' || !EMAIL_ADDRESS.test(address));
+  if (invalid.length > 0) {
+    throw new Error(`${label} has invalid email address(es): ${invalid.join(', ')}.`);
+  }
+}
+
+/**
+ * Validate a routing configuration, throwing a descriptive error for the first problem found
+ * @param {object} config - Parsed routing configuration
+ */
+function validateRoutingConfig(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Routing configuration must be an object.');
+  }
+  if (config.rules !== undefined && !Array.isArray(config.rules)) {
+    throw new Error('Routing "rules" must be an array.');
+  }
+
+  (config.rules || []).forEach((rule, index) => {
+    const label = `Routing rule ${rule && rule.name ? `"${rule.name}"` : `#${index + 1}`}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} must be an object.`);
+    }
+    if (rule.channels !== undefined && !Array.isArray(rule.channels)) {
+      throw new Error(`${label} "channels" must be an array.`);
+    }
+    if (rule.teams !== undefined && !Array.isArray(rule.teams)) {
+      throw new Error(`${label} "teams" must be an array.`);
+    }
+    validateEmailRecipients(rule.email, `${label} "email"`);
+    if ((rule.channels || []).length + (rule.teams || []).length + (rule.email || []).length === 0) {
+      throw new Error(`${label} must list at least one channel in "channels", Teams destination in "teams" or address in "email".`);
+    }
+    const unknownTeams = (rule.teams || []).filter(name => !(config.teamsWebhooks || {})[name]);
+    if (unknownTeams.length > 0) {
+      throw new Error(`${label} refers to unknown Teams destination(s): ${unknownTeams.join(', ')}.`);
+    }
+    const unknownKeys = Object.keys(rule.match || {}).filter(key => !CONDITION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`${label} has unknown match key(s): ${unknownKeys.join(', ')}.`);
+    }
+    if (rule.policy !== undefined && !(config.policies || {})[rule.policy]) {
+      throw new Error(`${label} refers to unknown policy "${rule.policy}".`);
+    }
+  });
+
+  Object.entries(config.teamsWebhooks || {}).forEach(([name, destination]) => {
+    if (!destination || (!destination.webhookUrl && !destination.webhookUrlEnv)) {
+      throw new Error(`Teams destination "${name}" needs a "webhookUrl" or "webhookUrlEnv".`);
+    }
+  });
+  if (config.defaultTeams !== undefined && !Array.isArray(config.defaultTeams)) {
+    throw new Error('Routing "defaultTeams" must be an array.');
+  }
+  const unknownDefaultTeams = (config.defaultTeams || []).filter(name => !(config.teamsWebhooks || {})[name]);
+  if (unknownDefaultTeams.length > 0) {
+    throw new Error(`Routing "defaultTeams" refers to unknown Teams destination(s): ${unknownDefaultTeams.join(', ')}.`);
+  }
+
+  validateEmailRecipients(config.defaultEmail, 'Routing "defaultEmail"');
+
+  if (config.outboundWebhooks !== undefined && !Array.isArray(config.outboundWebhooks)) {
+    throw new Error('Routing "outboundWebhooks" must be an array.');
+  }
+  const targetNames = new Set();
+  (config.outboundWebhooks || []).forEach((target, index) => {
+    const label = `Outbound webhook ${target && target.name ? `"${target.name}"` : `#${index + 1}`}`;
+    if (!target || !target.name || !/^[A-Za-z0-9_-]+$/.test(target.name)) {
+      throw new Error(`${label} needs a "name" of letters, digits, "-" and "_".`);
+    }
+    if (targetNames.has(target.name)) {
+      throw new Error(`Duplicate outbound webhook name "${target.name}".`);
+    }
+    targetNames.add(target.name);
+    if (!target.url && !target.urlEnv) {
+      throw new Error(`${label} needs a "url" or "urlEnv".`);
+    }
+    if (target.url && !/^https?:\/\//.test(target.url)) {
+      throw new Error(`${label} "url" must be an http(s) URL.`);
+    }
+    if (!target.secret && !target.secretEnv) {
+      throw new Error(`${label} needs a "secret" or "secretEnv" to sign its requests.`);
+    }
+    if (target.timeoutMs !== undefined && !(Number.isInteger(target.timeoutMs) && target.timeoutMs > 0)) {
+      throw new Error(`${label} "timeoutMs" must be a positive integer.`);
+    }
+    const unknownKeys = Object.keys(target.match || {}).filter(key => !CONDITION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`${label} has unknown match key(s): ${unknownKeys.join(', ')}.`);
+    }
+  });
+
+  if (config.defaultPolicy !== undefined && !(config.policies || {})[config.defaultPolicy]) {
+    throw new Error(`Routing "defaultPolicy" refers to unknown policy "${config.defaultPolicy}".`);
+  }
+  // Builds (and so validates) every policy
+  createPolicies(config.policies);
+  validateMentionRules(config.mentions);
+
+  Object.entries(config.deliveryModes || {}).forEach(([pattern, settings]) => {
+    if (!settings || !DELIVERY_MODES.includes(settings.mode)) {
+      throw new Error(`Delivery mode for "${pattern}" must be one of: ${DELIVERY_MODES.join(', ')}.`);
+    }
+    if (settings.mode === 'digest') {
+      if (!settings.schedule) {
+        throw new Error(`Digest delivery for "${pattern}" needs a "schedule".`);
+      }
+      if (!parseSchedule(settings.schedule).runsMonthly) {
+        throw new Error(`Digest schedule "${settings.schedule}" for "${pattern}" must run at least once a month.`);
+      }
+    }
+  });
+}
+
+/**
+ * Load routing configuration from a JSON file
+ * @param {string} [file] - Path to the routing file (ROUTING_RULES_FILE); optional
+ * @param {string} [fallbackChannel] - Default channel when the file doesn't set one (SLACK_CHANNEL)
+ * @returns {object} - Routing configuration ({ defaultChannels, rules })
+ */
+function loadRoutingConfig(file, fallbackChannel) {
+  let config = { rules: [] };
+
+  if (file) {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateRoutingConfig(config);
+    console.log(`[Routing] Loaded ${(config.rules || []).length} rule(s) from ${file}`);
+  }
+
+  return {
+    ...config,
+    rules: config.rules || [],
+    defaultChannels: config.defaultChannels || (fallbackChannel ? [fallbackChannel] : [])
+  };
+}
+
+/**
+ * Create a router for a routing configuration
+ * @param {object} config - Routing configuration ({ defaultChannels, rules })
+ * @param {object} [options] - Router options
+ * @param {string} [options.timeZone] - Timezone for policies that don't set one (ALERT_TIMEZONE)
+ * @param {object} [options.env] - Environment variables for `webhookUrlEnv`, defaults to process.env
+ * @returns {object} - Router with route(eventType, eventData), deliveryMode(eventType), policy(name),
+ *                     mentions(eventType, eventData), teamsWebhookUrl(name),
+ *                     outboundTargets(eventType, eventData), outboundTarget(name) and
+ *                     outboundTargetNames() methods
+ */
+function createRouter(config, { timeZone, env = process.env } = {}) {
+  validateRoutingConfig(config);
+  const rules = config.rules || [];
+  const defaultChannels = config.defaultChannels || [];
+  const defaultTeams = config.defaultTeams || [];
+  const defaultEmail = config.defaultEmail || [];
+  const policies = createPolicies(config.policies, timeZone);
+
+  const teamsWebhookUrls = new Map();
+  Object.entries(config.teamsWebhooks || {}).forEach(([name, destination]) => {
+    const webhookUrl = resolveSetting(destination, 'webhookUrl', env);
+    if (!webhookUrl) {
+      throw new Error(`Teams destination "${name}" has no webhook URL (${destination.webhookUrlEnv} is not set).`);
+    }
+    teamsWebhookUrls.set(name, webhookUrl);
+  });
+
+  const outboundTargetsByName = new Map();
+  (config.outboundWebhooks || []).forEach(target => {
+    const url = resolveSetting(target, 'url', env);
+    const secret = resolveSetting(target, 'secret', env);
+    if (!url || !secret) {
+      throw new Error(`Outbound webhook "${target.name}" has no ${url ? 'secret' : 'URL'} (${url ? target.secretEnv : target.urlEnv} is not set).`);
+    }
+    outboundTargetsByName.set(target.name, { name: target.name, url, secret, timeoutMs: target.timeoutMs, match: target.match });
+  });
+
+  /**
+   * Resolve the destinations for an event
+   * @param {string} eventType - The MCP event type
+   * @param {object} eventData - The event data payload
+   * @returns {object} - { channels, teams, email, rules, policies } with de-duplicated channels,
+   *                     Teams destinations and email addresses, matched rule names and the policy
+   *                     name per channel (from the first rule that added it)
+   */
+  function route(eventType, eventData) {
+    const channels = [];
+    const teams = [];
+    const email = [];
+    const matched = [];
+    const channelPolicies = {};
+
+    for (const [index, rule] of rules.entries()) {
+      if (!matchesConditions(rule.match, eventType, eventData)) {
+        continue;
+      }
+      matched.push(rule.name || `#${index + 1}`);
+      (rule.channels || []).forEach(channel => {
+        if (!channels.includes(channel)) {
+          channels.push(channel);
+          if (rule.policy) {
+            channelPolicies[channel] = rule.policy;
+          }
+        }
+      });
+      (rule.teams || []).forEach(name => {
+        if (!teams.includes(name)) {
+          teams.push(name);
+        }
+      });
+      (rule.email || []).forEach(address => {
+        if (!email.includes(address)) {
+          email.push(address);
+        }
+      });
+      if (rule.stop) {
+        break;
+      }
+    }
+
+    if (matched.length === 0) {
+      const defaultPolicies = {};
+      if (config.defaultPolicy) {
+        defaultChannels.forEach(channel => {
+          defaultPolicies[channel] = config.defaultPolicy;
+        });
+      }
+      return { channels: [...defaultChannels], teams: [...defaultTeams], email: [...defaultEmail], rules: ['default'], policies: defaultPolicies };
+    }
+    return { channels, teams, email, rules: matched, policies: channelPolicies };
+  }
+
+  /**
+   * Get the delivery mode for an event type
+   * @param {string} eventType - The MCP event type
+   * @returns {object} - { mode: 'immediate' } or { mode: 'digest', schedule, timezone }
+   */
+  function deliveryMode(eventType) {
+    const match = Object.entries(config.deliveryModes || {}).find(([pattern]) => matchesEventType(pattern, eventType));
+    return match ? match[1] : IMMEDIATE;
+  }
+
+  /**
+   * Look up a quiet hours / escalation policy
+   * @param {string} name - Policy name
+   * @returns {object|null} - Policy (see utils/policies.js) or null
+   */
+  function policy(name) {
+    return policies.get(name) || null;
+  }
+
+  /**
+   * Find the user groups and users to mention for an event
+   * @param {string} eventType - The MCP event type
+   * @param {object} eventData - The event data payload
+   * @returns {Array<object>} - Matching mention rules as { name, mentions, note }
+   */
+  function mentions(eventType, eventData) {
+    return resolveMentions(config.mentions, eventType, eventData);
+  }
+
+  /**
+   * Look up the webhook URL of a Teams destination
+   * @param {string} name - Destination name from `teamsWebhooks`
+   * @returns {string|null} - The incoming webhook or workflow URL, or null if unknown
+   */
+  function teamsWebhookUrl(name) {
+    return teamsWebhookUrls.get(name) || null;
+  }
+
+  /**
+   * Find the outbound webhook targets that receive an event
+   * @param {string} eventType - The MCP event type
+   * @param {object} eventData - The event data payload
+   * @returns {Array<string>} - Target names
+   */
+  function outboundTargets(eventType, eventData) {
+    return [...outboundTargetsByName.values()]
+      .filter(target => matchesConditions(target.match, eventType, eventData))
+      .map(target => target.name);
+  }
+
+  /**
+   * Look up an outbound webhook target
+   * @param {string} name - Target name
+   * @returns {object|null} - { name, url, secret, timeoutMs } or null if unknown
+   */
+  function outboundTarget(name) {
+    return outboundTargetsByName.get(name) || null;
+  }
+
+  return {
+    route,
+    deliveryMode,
+    policy,
+    mentions,
+    teamsWebhookUrl,
+    outboundTargets,
+    outboundTarget,
+    outboundTargetNames: () => [...outboundTargetsByName.keys()]
+  };
+}
+
+module.exports = {
+  loadRoutingConfig,
+  createRouter,
+  validateRoutingConfig
+};
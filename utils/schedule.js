@@ -0,0 +1,154 @@
+/**
+ * @module utils/schedule
+ * @description Minimal cron-style schedules evaluated in a configurable timezone.
+ *
+ * A schedule is either a standard five-field cron expression
+ * (`minute hour day-of-month month day-of-week`, supporting `*`, lists, ranges and
+ * steps such as `0 8 * * 1-5` or `*\/15 * * * *`) or one of the aliases
+ * `hourly` / `@hourly` and `daily` / `@daily` (midnight).
+ */
+
+const ALIASES = {
+  hourly: '0 * * * *',
+  '@hourly': '0 * * * *',
+  daily: '0 0 * * *',
+  '@daily': '0 0 * * *'
+};
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further than this for the next run means the schedule is effectively never
+const MAX_SEARCH_MINUTES = 32 * 24 * 60;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatterCache = new Map();
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - The instant
+ * @param {string} [timeZone] - IANA timezone, e.g. `America/Chicago`; defaults to the server's
+ * @returns {object} - { year, month, day, hour, minute, weekday } with weekday 0 = Sunday
+ */
+function getZonedParts(date, timeZone) {
+  const cacheKey = timeZone || '';
+  if (!formatterCache.has(cacheKey)) {
+    formatterCache.set(cacheKey, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  formatterCache.get(cacheKey).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Expand one cron field into the set of values it allows
+function parseField(expression, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}" in schedule.`);
+    }
+    const start = match[1] === '*' ? min : Number(match[1]);
+    const end = match[2] !== undefined ? Number(match[2]) : (match[1] === '*' || match[3] ? max : start);
+    const step = match[3] ? Number(match[3]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Out of range ${name} "${part}" in schedule.`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a schedule
+ * @param {string} schedule - Cron expression or alias
+ * @returns {object} - Parsed schedule with a matches(date, timeZone) method, and runsMonthly
+ *                     telling whether it fires at least once in every month
+ */
+function parseSchedule(schedule) {
+  const expression = ALIASES[String(schedule).trim().toLowerCase()] || String(schedule).trim();
+  const fields = expression.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Schedule "${schedule}" must be a five-field cron expression, "hourly" or "daily".`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELD_RANGES[index]));
+  if (weekdays.has(7)) {
+    weekdays.add(0); // 7 is an alias for Sunday
+  }
+  // Like cron: when both day fields are restricted, either one may match
+  const dayRestricted = fields[2] !== '*';
+  const weekdayRestricted = fields[4] !== '*';
+
+  function matches(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    if (!minutes.has(parts.minute) || !hours.has(parts.hour) || !months.has(parts.month)) {
+      return false;
+    }
+    if (dayRestricted && weekdayRestricted) {
+      return days.has(parts.day) || weekdays.has(parts.weekday);
+    }
+    return days.has(parts.day) && weekdays.has(parts.weekday);
+  }
+
+  // nextRun only looks about a month ahead, so a schedule has to fire in every month: on a
+  // day all months have, or on a weekday
+  const runsMonthly = months.size === 12 && (!dayRestricted || weekdayRestricted || [...days].some(day => day <= 28));
+
+  return { expression, matches, runsMonthly };
+}
+
+/**
+ * Find the next time a schedule fires, strictly after the given instant
+ * @param {string|object} schedule - Cron expression, alias or parsed schedule
+ * @param {Date} from - Starting instant
+ * @param {string} [timeZone] - IANA timezone the schedule is expressed in
+ * @returns {Date|null} - Next run, or null if none within about a month
+ */
+function nextRun(schedule, from, timeZone) {
+  const parsed = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+  let candidate = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++, candidate += 60000) {
+    if (parsed.matches(new Date(candidate), timeZone)) {
+      return new Date(candidate);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseSchedule,
+  nextRun,
+  getZonedParts
+};
@@ -0,0 +1,190 @@
+/**
+ * @module utils/schemas
+ * @description Payload schemas of the MCP webhook event types, checked before a webhook is
+ * acknowledged.
+ *
+ * Every payload needs an `eventType`, an ISO 8601 `eventDateTime` and `eventData` with the
+ * `carrier` and `customer` the alerts are built around. The supported event types also
+ * describe their detail object; other event types only need the common fields and are
+ * formatted with the default template. Fields that aren't listed are allowed, and optional
+ * fields may be `null`.
+ *
+ * Schemas use a small subset of JSON Schema: `type` (`object`, `string`, `number`,
+ * `boolean`, plus `id` for a number or a string of digits and `timestamp` for a string
+ * with an ISO 8601 date or date and time utils/dates.js can read), `required` and
+ * `properties`.
+ */
+const { parseDate } = require('./dates');
+
+const CARRIER = {
+  type: 'object',
+  required: ['dotNumber', 'legalName'],
+  properties: {
+    dotNumber: { type: 'id' },
+    docketNumber: { type: 'string' },
+    legalName: { type: 'string' },
+    dbaName: { type: 'string' }
+  }
+};
+
+const CUSTOMER = {
+  type: 'object',
+  required: ['customerID', 'companyName'],
+  properties: {
+    customerID: { type: 'id' },
+    companyName: { type: 'string' }
+  }
+};
+
+const INCIDENT_REPORT_DETAIL = {
+  type: 'object',
+  required: ['incidentReportID'],
+  properties: {
+    incidentReportID: { type: 'id' },
+    incidentType: { type: 'string' },
+    incidentDatetime: { type: 'timestamp' },
+    status: { type: 'string' },
+    reportedBy: { type: 'string' },
+    retractionReason: { type: 'string' },
+    retractedBy: { type: 'string' }
+  }
+};
+
+/**
+ * Schema of a webhook payload whose eventData also has the given properties
+ * @param {object} [detailProperties] - Schemas of the event type's detail objects
+ * @param {Array<string>} [requiredDetails] - Detail objects the event type must have
+ * @returns {object} - Payload schema
+ */
+function payloadSchema(detailProperties = {}, requiredDetails = []) {
+  return {
+    type: 'object',
+    required: ['eventType', 'eventDateTime', 'eventData'],
+    properties: {
+      eventType: { type: 'string' },
+      eventDateTime: { type: 'timestamp' },
+      eventData: {
+        type: 'object',
+        required: ['carrier', 'customer', ...requiredDetails],
+        properties: {
+          carrier: CARRIER,
+          customer: CUSTOMER,
+          ...detailProperties
+        }
+      }
+    }
+  };
+}
+
+const EVENT_SCHEMAS = {
+  'carrier.packet.completed': payloadSchema({
+    packetDetail: {
+      type: 'object',
+      properties: {
+        packetId: { type: 'id' },
+        id: { type: 'id' },
+        packetType: { type: 'string' },
+        completionDatetime: { type: 'timestamp' }
+      }
+    }
+  }),
+  'carrier.incident_report.created': payloadSchema({ incidentReportDetail: INCIDENT_REPORT_DETAIL }, ['incidentReportDetail']),
+  'carrier.incident_report.updated': payloadSchema({ incidentReportDetail: INCIDENT_REPORT_DETAIL }, ['incidentReportDetail']),
+  'carrier.incident_report.retracted': payloadSchema({ incidentReportDetail: INCIDENT_REPORT_DETAIL }, ['incidentReportDetail']),
+  'carrier.vin_verification.completed': payloadSchema({
+    vinVerificationDetail: {
+      type: 'object',
+      required: ['vin', 'vinVerificationStatus'],
+      properties: {
+        vin: { type: 'string' },
+        vinVerificationStatus: { type: 'string' },
+        otherDOTNumber: { type: 'id' },
+        imageUploadedGeolocation: {
+          type: 'object',
+          required: ['latitude', 'longitude'],
+          properties: {
+            latitude: { type: 'number' },
+            longitude: { type: 'number' },
+            method: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, ['vinVerificationDetail']),
+  'carrier.user_verification.completed': payloadSchema({
+    userVerificationDetail: {
+      type: 'object',
+      required: ['verificationStatus'],
+      properties: {
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        phoneNumber: { type: 'string' },
+        role: { type: 'string' },
+        otherRole: { type: 'string' },
+        verificationStatus: { type: 'string' },
+        verificationDatetime: { type: 'timestamp' }
+      }
+    }
+  }, ['userVerificationDetail'])
+};
+
+const DEFAULT_SCHEMA = payloadSchema();
+
+const TYPE_CHECKS = {
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  id: value => (typeof value === 'number' && Number.isInteger(value) && value >= 0) || (typeof value === 'string' && /^\d+$/.test(value)),
+  // parseDate also takes epoch milliseconds, which MCP doesn't send
+  timestamp: value => typeof value === 'string' && parseDate(value) !== null
+};
+
+const TYPE_NAMES = {
+  object: 'an object',
+  string: 'a string',
+  number: 'a number',
+  boolean: 'true or false',
+  id: 'a number or a string of digits',
+  timestamp: 'an ISO 8601 date and time'
+};
+
+function validateValue(schema, value, field, errors) {
+  if (!TYPE_CHECKS[schema.type](value)) {
+    errors.push({ field, message: `must be ${TYPE_NAMES[schema.type]}` });
+    return;
+  }
+  if (schema.type !== 'object') {
+    return;
+  }
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined || value[key] === null || value[key] === '') {
+      errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+    }
+  });
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+      validateValue(propertySchema, value[key], field ? `${field}.${key}` : key, errors);
+    }
+  });
+}
+
+/**
+ * Check a webhook payload against the schema of its event type
+ * @param {object} payload - Parsed webhook body
+ * @returns {Array<object>} - Field-level errors ({ field, message }), empty when the payload is valid
+ */
+function validatePayload(payload) {
+  const errors = [];
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: 'body', message: 'must be a JSON object' }];
+  }
+  validateValue(EVENT_SCHEMAS[payload.eventType] || DEFAULT_SCHEMA, payload, '', errors);
+  return errors;
+}
+
+module.exports = {
+  SUPPORTED_EVENT_TYPES: Object.keys(EVENT_SCHEMAS),
+  validatePayload
+};
@@ -4,25 +4,32 @@
 const https = require('https');
 const url = require('url');
 
+const DEFAULT_TIMEOUT_MS = 10000;
+
 /**
  * Send a message directly to Slack via webhook
  * @param {string} webhookUrl - The Slack webhook URL to post to
  * @param {object} message - Message object with blocks, attachments, text
- * @returns {Promise<object>} - Promise resolving to response
+ * @param {object} [options] - Request options
+ * @param {number} [options.timeoutMs] - Give up when there's no answer within this time (default 10000)
+ * @returns {Promise<object>} - Promise resolving to response. Rejections carry the
+ *                             statusCode and, for HTTP 429, the Retry-After seconds.
  */
-function sendWebhookMessage(webhookUrl, message) {
+function sendWebhookMessage(webhookUrl, message, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
   return new Promise((resolve, reject) => {
     const parsedUrl = url.parse(webhookUrl);
     const payload = JSON.stringify(message);
     
     const options = {
       hostname: parsedUrl.hostname,
+      port: parsedUrl.port,
       path: parsedUrl.path,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(payload)
-      }
+      },
+      timeout: timeoutMs
     };
     
     const req = https.request(options, (res) => {
@@ -40,15 +47,25 @@ function sendWebhookMessage(webhookUrl, message) {
             response: responseData
           });
         } else {
-          reject({
+          const failure = {
             success: false,
             statusCode: res.statusCode,
             response: responseData
-          });
+          };
+          // Slack rate limited the webhook; tell the caller how long to back off
+          if (res.statusCode === 429) {
+            failure.retryAfter = parseInt(res.headers['retry-after'], 10) || 1;
+          }
+          reject(failure);
         }
       });
     });
     
+    // A webhook that never answers would otherwise hold up the delivery queue
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+    });
+
     req.on('error', (error) => {
       reject({
         success: false,
@@ -0,0 +1,160 @@
+/**
+ * @module utils/subscriptions
+ * @description Per-user subscriptions to carriers and customers, managed with `/mcp watch`.
+ *
+ * A subscription watches a carrier (by DOT or MC number) or a customer (by customer ID),
+ * optionally only for some event types (patterns with `*`, as in routing rules). Every
+ * event matching one of a user's subscriptions is sent to that user as a DM. The
+ * subscriptions are persisted to a JSON file.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { matchesConditions, normalizeDocket } = require('./eventMatch');
+
+// Subscription target types and the eventMatch condition each one maps to
+const TARGET_CONDITIONS = {
+  dot: 'dotNumber',
+  docket: 'docketNumber',
+  customer: 'customerID'
+};
+
+/**
+ * Describe a subscription target for messages
+ * @param {object} target - { type, value }
+ * @returns {string} - e.g. `DOT 2491899`, `MC863051` or `customer 2168`
+ */
+function describeTarget({ type, value }) {
+  if (type === 'docket') {
+    return `MC${value}`;
+  }
+  return `${type === 'dot' ? 'DOT' : 'customer'} ${value}`;
+}
+
+/**
+ * Parse a carrier identifier typed by a user
+ * @param {string} id - DOT number, or MC number with the `MC` prefix
+ * @returns {object|null} - { type, value } or null if it isn't a valid identifier
+ */
+function parseCarrierTarget(id) {
+  const value = String(id || '').trim();
+  if (/^\d+$/.test(value)) {
+    return { type: 'dot', value };
+  }
+  if (/^MC-?\d+$/i.test(value)) {
+    return { type: 'docket', value: normalizeDocket(value) };
+  }
+  return null;
+}
+
+/**
+ * Create a subscription store
+ * @param {object} options - Store options
+ * @param {string} options.file - JSON file holding the subscriptions
+ * @returns {object} - Store with watch, unwatch, list and subscribersFor methods
+ */
+function createSubscriptionStore({ file }) {
+  let subscriptions = [];
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    subscriptions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Subscriptions] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    // Each save writes the subscriptions as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(subscriptions, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  const sameTarget = (subscription, target) => subscription.type === target.type && subscription.value === target.value;
+
+  /**
+   * Subscribe a user to a target, replacing an earlier subscription to the same target
+   * @param {string} userId - Slack user ID
+   * @param {object} target - { type: 'dot' | 'docket' | 'customer', value }
+   * @param {Array<string>} [eventTypes] - Event type patterns; all events when empty
+   * @returns {Promise<object>} - The subscription
+   */
+  async function watch(userId, target, eventTypes = []) {
+    const subscription = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      userId,
+      type: target.type,
+      value: String(target.value),
+      eventTypes,
+      createdAt: new Date().toISOString()
+    };
+    subscriptions = subscriptions.filter(existing => !(existing.userId === userId && sameTarget(existing, subscription)));
+    subscriptions.push(subscription);
+    await save();
+    console.log(`[Subscriptions] ${userId} is watching ${describeTarget(subscription)}${eventTypes.length > 0 ? ` (${eventTypes.join(', ')})` : ''}`);
+    return subscription;
+  }
+
+  /**
+   * Remove a user's subscription to a target
+   * @param {string} userId - Slack user ID
+   * @param {object} target - { type, value }
+   * @returns {Promise<boolean>} - false if the user wasn't watching it
+   */
+  async function unwatch(userId, target) {
+    const remaining = subscriptions.filter(existing => !(existing.userId === userId && sameTarget(existing, { ...target, value: String(target.value) })));
+    if (remaining.length === subscriptions.length) {
+      return false;
+    }
+    subscriptions = remaining;
+    await save();
+    console.log(`[Subscriptions] ${userId} stopped watching ${describeTarget(target)}`);
+    return true;
+  }
+
+  /**
+   * A user's subscriptions
+   * @param {string} userId - Slack user ID
+   * @returns {Array<object>} - Subscriptions, oldest first
+   */
+  function list(userId) {
+    return subscriptions.filter(subscription => subscription.userId === userId);
+  }
+
+  /**
+   * Users subscribed to an event
+   * @param {string} eventType - The MCP event type
+   * @param {object} eventData - The event data payload
+   * @returns {Array<string>} - Slack user IDs, each listed once
+   */
+  function subscribersFor(eventType, eventData) {
+    const users = subscriptions
+      .filter(subscription => matchesConditions({
+        [TARGET_CONDITIONS[subscription.type]]: subscription.value,
+        eventType: subscription.eventTypes.length > 0 ? subscription.eventTypes : undefined
+      }, eventType, eventData))
+      .map(subscription => subscription.userId);
+    return [...new Set(users)];
+  }
+
+  return {
+    watch,
+    unwatch,
+    list,
+    subscribersFor
+  };
+}
+
+module.exports = {
+  createSubscriptionStore,
+  parseCarrierTarget,
+  describeTarget
+};
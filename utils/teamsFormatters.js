@@ -0,0 +1,158 @@
+/**
+ * Format MCP webhook events into Microsoft Teams Adaptive Cards
+ *
+ * The cards are rendered from the event view (see utils/eventView.js), like the Slack
+ * messages in utils/formatters.js: the same header, carrier, detail and customer sections,
+ * notes, the event time and the template's links. Slack-only features (mentions, incident
+ * triage controls) have no Teams equivalent here.
+ */
+const { buildEventView } = require('./eventView');
+const { renderRichText } = require('./templates');
+const { contextLine } = require('./textRenderers');
+const { formatDate } = require('./dates');
+const { escapeTeamsMarkdown } = require('./escape');
+
+// Container styles standing in for the Slack attachment colors
+const STYLES = {
+  info: 'accent',
+  danger: 'attention',
+  warning: 'warning',
+  success: 'good',
+  neutral: 'emphasis'
+};
+
+// Rich text in facts, and in notes, whose timestamps are shown in bold
+const TEAMS_TEXT = { escape: escapeTeamsMarkdown, formatDate };
+const TEAMS_NOTE = { ...TEAMS_TEXT, emphasizeDate: text => `**${text}**` };
+
+/**
+ * Carrier facts that are common to all events
+ * @param {object} carrier - view.carrier
+ * @returns {object} - Adaptive Card FactSet
+ */
+function buildCarrierFacts(carrier) {
+  return {
+    type: "FactSet",
+    facts: [
+      { title: "Carrier", value: escapeTeamsMarkdown(carrier.name) },
+      { title: "DOT Number", value: escapeTeamsMarkdown(carrier.dotNumber) },
+      { title: "MC Number", value: carrier.docketNumber ? escapeTeamsMarkdown(carrier.docketNumber) : 'N/A' }
+    ]
+  };
+}
+
+/**
+ * Customer facts that are common to all events
+ * @param {object} customer - view.customer
+ * @returns {object} - Adaptive Card FactSet
+ */
+function buildCustomerFacts(customer) {
+  return {
+    type: "FactSet",
+    separator: true,
+    facts: [
+      { title: "Customer", value: escapeTeamsMarkdown(customer.name) },
+      { title: "Customer ID", value: escapeTeamsMarkdown(customer.id) }
+    ]
+  };
+}
+
+// Detail facts; the values come from MCP and are escaped here
+function detailFacts(fields) {
+  return {
+    type: "FactSet",
+    separator: true,
+    facts: fields.map(field => ({ title: renderRichText(field.label, TEAMS_TEXT), value: renderRichText(field.value, TEAMS_TEXT).trim() }))
+  };
+}
+
+function contextText(text) {
+  return {
+    type: "TextBlock",
+    text,
+    isSubtle: true,
+    size: "Small",
+    wrap: true
+  };
+}
+
+/**
+ * Render an event view as a Teams message
+ * @param {object} view - Event view, as built by buildEventView
+ * @returns {object} - Teams webhook payload: a message with one Adaptive Card attachment
+ */
+function renderTeamsMessage(view) {
+  const body = view.blocks.map(block => {
+    switch (block.type) {
+      case 'header':
+        return {
+          type: "Container",
+          style: STYLES[view.severity],
+          bleed: true,
+          items: [
+            {
+              type: "TextBlock",
+              text: escapeTeamsMarkdown(view.title),
+              size: "Large",
+              weight: "Bolder",
+              wrap: true
+            }
+          ]
+        };
+      case 'carrier':
+        return buildCarrierFacts(view.carrier);
+      case 'customer':
+        return buildCustomerFacts(view.customer);
+      case 'details':
+        return detailFacts(block.fields);
+      case 'note':
+        return contextText(renderRichText(block.text, TEAMS_NOTE));
+      case 'context':
+        return contextText(contextLine(view, text => `**${text}**`));
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+
+  const summary = renderRichText(view.summary);
+  return {
+    type: "message",
+    summary: view.tenantName ? `[${view.tenantName}] ${summary}` : summary,
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        contentUrl: null,
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          msteams: { width: "Full" },
+          body,
+          actions: view.links.map(link => ({
+            type: "Action.OpenUrl",
+            title: link.text,
+            url: link.url
+          }))
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Format a Teams message for an MCP event
+ * @param {string} eventType - The MCP webhook event type
+ * @param {string} eventDateTime - ISO 8601 timestamp of the event
+ * @param {object} eventData - The event data payload
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.tenantName] - MCP account the event came from, shown when set
+ * @returns {object} - Teams webhook payload: a message with one Adaptive Card attachment
+ */
+function formatTeamsMessage(eventType, eventDateTime, eventData, options = {}) {
+  return renderTeamsMessage(buildEventView(eventType, eventDateTime, eventData, options));
+}
+
+module.exports = {
+  renderTeamsMessage,
+  formatTeamsMessage
+};
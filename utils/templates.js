@@ -0,0 +1,421 @@
+/**
+ * @module utils/templates
+ * @description Declarative message templates, one JSON file per MCP event type.
+ *
+ * The built-in templates in `templates/` reproduce the standard alerts. Templates in
+ * `MESSAGE_TEMPLATES_DIR` are loaded after them: a file with the same `eventType` replaces
+ * the built-in one, and a file for another event type adds it. `"eventType": "*"` is the
+ * template for event types without one of their own.
+ *
+ * @example <caption>templates/carrier.packet.completed.json (abridged)</caption>
+ * {
+ *   "eventType": "carrier.packet.completed",
+ *   "label": "🎉 Packet completed",
+ *   "digestTitle": "🎉 Carrier Packets Completed",
+ *   "header": "🎉 Carrier Packet Completed",
+ *   "severity": "info",
+ *   "blocks": [
+ *     { "type": "header" },
+ *     { "type": "divider" },
+ *     { "type": "carrier" },
+ *     { "type": "fields", "fields": [
+ *       { "label": "Packet Type", "value": "{{ packetDetail.packetType | default \"Standard\" }}" }
+ *     ] },
+ *     { "type": "customer" },
+ *     { "type": "context" },
+ *     { "type": "actions", "elements": [
+ *       { "type": "button", "text": "View in MCP", "url": "https://mycarrierpackets.com/carriers/{{ carrier.dotNumber }}" }
+ *     ] }
+ *   ]
+ * }
+ *
+ * Text may contain `{{ expression }}` placeholders. An expression is a path into the event
+ * data (`incidentReportDetail.status`), or one of `$eventType`, `$eventDateTime` (the event
+ * timestamp as received), `$eventDate` (the formatted event time), `$header` and `$vin`
+ * (`vinVerificationDetail.vin` decoded by utils/vin.js, e.g. `$vin.modelYear`), followed
+ * by filters:
+ * - `default <"text"|path>`  Use the text or the value at path when the value is empty
+ * - `date`                   Format a timestamp like the event time (empty values stay empty,
+ *                            unreadable ones are shown as received)
+ * - `prefix "<text>"`, `suffix "<text>"`  Add text around a value that isn't empty
+ *
+ * Text renders to rich text, a list of segments that each output format renders in its own
+ * way (see renderRichText): the template's own text, including quoted filter arguments, is
+ * used as written, values from the event data are escaped for the output format, and
+ * timestamps are formatted for it. Button URLs are the exception: their values are
+ * URL-encoded right away.
+ *
+ * `severity` (`info`, `success`, `warning`, `danger` or `neutral`) rates the event and picks
+ * its color, unless the template sets a `color`. Both take a value or
+ * `{ "default": ..., "cases": [{ "if": ..., "value": ... }] }`.
+ *
+ * Blocks, fields and cases can carry an `if` condition: `{ "path": "...", "equals": x }`,
+ * `{ "path": "...", "in": [x, y] }` or `{ "path": "..." }` (the value is present).
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseDate, formatDate } = require('./dates');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE = '*';
+const DEFAULT_FALLBACK = '{{ $header }} - {{ carrier.legalName }} (DOT: {{ carrier.dotNumber }})';
+
+const BLOCK_TYPES = ['header', 'divider', 'carrier', 'customer', 'context', 'fields', 'note', 'actions'];
+const ELEMENT_TYPES = ['button', 'incident_controls'];
+const BUTTON_STYLES = ['primary', 'danger'];
+
+// Severities and the colors they stand for
+const SEVERITY_COLORS = {
+  info: '#36C5F0',
+  success: '#2EB67D',
+  warning: '#ECB22E',
+  danger: '#E01E5A',
+  neutral: '#7B7B7B'
+};
+
+// Filters take and return rich text (an empty list for an empty value)
+const FILTERS = {
+  default: (segments, fallback) => (segments.length === 0 ? fallback : segments),
+  date: (segments) => segments.map(segment => (segment.trusted || segment.date !== undefined ? segment : { date: segment.text })),
+  prefix: (segments, text) => (segments.length === 0 ? segments : [...text, ...segments]),
+  suffix: (segments, text) => (segments.length === 0 ? segments : [...segments, ...text])
+};
+
+const PLACEHOLDER = /\{\{(.*?)\}\}/g;
+const STRING_ARG = /^"((?:[^"\\]|\\.)*)"$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === false;
+}
+
+// Split on `|` outside of quoted strings
+function splitPipes(expression) {
+  const parts = [''];
+  let quoted = false;
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (char === '\\' && quoted) {
+      parts[parts.length - 1] += char + (expression[++i] || '');
+      continue;
+    }
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === '|' && !quoted) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts.map(part => part.trim());
+}
+
+/**
+ * Parse a placeholder expression
+ * @param {string} expression - Text between `{{` and `}}`
+ * @returns {object} - { path, filters: [{ name, arg }] }, throwing on invalid expressions
+ */
+function parseExpression(expression) {
+  const [valuePath, ...filterParts] = splitPipes(expression);
+  if (!valuePath || /\s/.test(valuePath)) {
+    throw new Error(`invalid expression "{{${expression}}}"`);
+  }
+
+  const filters = filterParts.map(part => {
+    const [, name, rawArg] = part.match(/^(\w+)\s*(.*)$/) || [];
+    if (!FILTERS[name]) {
+      throw new Error(`unknown filter "${part}" in "{{${expression}}}"`);
+    }
+    if (name === 'date') {
+      return { name };
+    }
+    const string = rawArg.match(STRING_ARG);
+    if (string) {
+      return { name, arg: { text: string[1].replace(/\\(.)/g, '$1') } };
+    }
+    if (name === 'default' && rawArg && !/\s/.test(rawArg)) {
+      return { name, arg: { path: rawArg } };
+    }
+    throw new Error(`filter "${name}" needs ${name === 'default' ? 'a quoted text or a path' : 'a quoted text'} in "{{${expression}}}"`);
+  });
+
+  return { path: valuePath, filters };
+}
+
+/**
+ * Look up a path in the render scope
+ * @param {object} scope - { eventData, vars }
+ * @param {string} valuePath - e.g. `carrier.dotNumber`, `$eventType` or `$vin.modelYear`
+ * @returns {*} - The value, or undefined when any part of the path is missing
+ */
+function resolvePath(scope, valuePath) {
+  const walk = (root, keys) => keys.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), root);
+  if (valuePath.startsWith('$')) {
+    return walk(scope.vars, valuePath.slice(1).split('.'));
+  }
+  return walk(scope.eventData, valuePath.split('.'));
+}
+
+// Rich text of a value: variables may already be rich text, event data is untrusted text
+function lookup(scope, valuePath) {
+  const value = resolvePath(scope, valuePath);
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return isEmpty(value) ? [] : [{ text: String(value) }];
+}
+
+/**
+ * Render a template text into rich text
+ * @param {string} text - Template text
+ * @param {object} scope - { eventData, vars }; `$eventDate` and `$header` are rich text vars
+ * @returns {Array<object>} - Segments: `{ text, trusted: true }` (template text),
+ *                            `{ text }` (event data) and `{ date }` (a timestamp)
+ */
+function renderSegments(text, scope) {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), trusted: true });
+    }
+    const { path: valuePath, filters } = parseExpression(match[1]);
+    segments.push(...filters.reduce((current, { name, arg }) => {
+      const argSegments = arg && (arg.path !== undefined ? lookup(scope, arg.path) : [{ text: arg.text, trusted: true }]);
+      return FILTERS[name](current, argSegments);
+    }, lookup(scope, valuePath)));
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), trusted: true });
+  }
+  return segments;
+}
+
+/**
+ * Render rich text for an output format
+ * @param {Array<object>} segments - Rich text, as returned by renderSegments
+ * @param {object} [options] - Output format
+ * @param {function} [options.escape] - Escapes event data for the format (default: as is)
+ * @param {function} [options.formatDate] - Formats timestamps (default: utils/dates.js formatDate)
+ * @param {function} [options.emphasizeDate] - Wraps formatted timestamps, e.g. in bold markup
+ * @returns {string}
+ */
+function renderRichText(segments, { escape = String, formatDate: dateFormatter = formatDate, emphasizeDate = text => text } = {}) {
+  return segments.map(segment => {
+    if (segment.date !== undefined) {
+      // An unreadable timestamp is shown as received, so it is event data like any other
+      const date = parseDate(segment.date);
+      return emphasizeDate(date ? dateFormatter(date) : escape(String(segment.date)));
+    }
+    return segment.trusted ? segment.text : escape(segment.text);
+  }).join('');
+}
+
+/**
+ * Render a template text straight into a string
+ * @param {string} text - Template text
+ * @param {object} scope - { eventData, vars }
+ * @param {object} [options] - Output format, as for renderRichText
+ * @returns {string} - Rendered text; empty values render as nothing
+ */
+function renderText(text, scope, options) {
+  return renderRichText(renderSegments(text, scope), options);
+}
+
+/**
+ * Evaluate an `if` condition; a missing condition is true
+ * @param {object} [condition] - { path, equals } | { path, in } | { path }
+ * @param {object} scope - { eventData, vars }
+ * @returns {boolean}
+ */
+function testCondition(condition, scope) {
+  if (!condition) {
+    return true;
+  }
+  const value = resolvePath(scope, condition.path);
+  if ('equals' in condition) {
+    return value === condition.equals;
+  }
+  if ('in' in condition) {
+    return condition.in.includes(value);
+  }
+  return !isEmpty(value);
+}
+
+/**
+ * Value of a template setting that is either a value or `{ default, cases }`
+ * @param {*} setting - e.g. template.color or template.severity
+ * @param {object} scope - { eventData, vars }
+ * @returns {*} - The value of the first case whose `if` holds, else the default
+ */
+function resolveCases(setting, scope) {
+  if (setting === undefined || typeof setting !== 'object') {
+    return setting;
+  }
+  const match = (setting.cases || []).find(entry => testCondition(entry.if, scope));
+  return match ? match.value : setting.default;
+}
+
+function validateText(text, label) {
+  if (typeof text !== 'string') {
+    throw new Error(`${label} must be a string.`);
+  }
+  for (const [, expression] of text.matchAll(PLACEHOLDER)) {
+    try {
+      parseExpression(expression);
+    } catch (error) {
+      throw new Error(`${label} has an ${error.message}.`);
+    }
+  }
+}
+
+function validateCases(setting, label, isValid, expected) {
+  if (typeof setting !== 'object') {
+    if (!isValid(setting)) {
+      throw new Error(`${label} must be ${expected} or { "default", "cases" }.`);
+    }
+    return;
+  }
+  if (!setting || !isValid(setting.default)) {
+    throw new Error(`${label} "default" must be ${expected}.`);
+  }
+  (setting.cases || []).forEach((entry, index) => {
+    validateCondition(entry.if, `${label} case ${index + 1}`);
+    if (!isValid(entry.value)) {
+      throw new Error(`${label} case ${index + 1} "value" must be ${expected}.`);
+    }
+  });
+}
+
+function validateCondition(condition, label) {
+  if (condition === undefined) {
+    return;
+  }
+  if (!condition || typeof condition.path !== 'string') {
+    throw new Error(`${label} needs a "path".`);
+  }
+  if ('in' in condition && !Array.isArray(condition.in)) {
+    throw new Error(`${label} "in" must be an array.`);
+  }
+}
+
+/**
+ * Check a template, throwing a descriptive error for the first problem found
+ * @param {object} template - Parsed template file
+ * @param {string} label - Where the template came from, for error messages
+ */
+function validateTemplate(template, label) {
+  if (!template || typeof template.eventType !== 'string' || !template.eventType) {
+    throw new Error(`${label} needs an "eventType".`);
+  }
+  validateText(template.header, `${label} "header"`);
+  ['label', 'digestTitle', 'fallback'].forEach(key => {
+    if (template[key] !== undefined) {
+      validateText(template[key], `${label} "${key}"`);
+    }
+  });
+
+  if (template.color === undefined && template.severity === undefined) {
+    throw new Error(`${label} needs a "severity" or a "color".`);
+  }
+  if (template.severity !== undefined) {
+    validateCases(template.severity, `${label} "severity"`, value => Object.keys(SEVERITY_COLORS).includes(value),
+      `one of ${Object.keys(SEVERITY_COLORS).join(', ')}`);
+  }
+  if (template.color !== undefined) {
+    validateCases(template.color, `${label} "color"`, value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value), 'a hex color');
+  }
+
+  if (!Array.isArray(template.blocks) || template.blocks.length === 0) {
+    throw new Error(`${label} needs a non-empty "blocks" array.`);
+  }
+  template.blocks.forEach((block, index) => {
+    const blockLabel = `${label} block ${index + 1}`;
+    if (!BLOCK_TYPES.includes(block.type)) {
+      throw new Error(`${blockLabel} has unknown type "${block.type}" (expected one of: ${BLOCK_TYPES.join(', ')}).`);
+    }
+    validateCondition(block.if, `${blockLabel} "if"`);
+
+    if (block.type === 'fields') {
+      if (!Array.isArray(block.fields) || block.fields.length === 0) {
+        throw new Error(`${blockLabel} needs a non-empty "fields" array.`);
+      }
+      block.fields.forEach((field, fieldIndex) => {
+        validateText(field.label, `${blockLabel} field ${fieldIndex + 1} "label"`);
+        validateText(field.value, `${blockLabel} field ${fieldIndex + 1} "value"`);
+        validateCondition(field.if, `${blockLabel} field ${fieldIndex + 1} "if"`);
+      });
+    }
+    if (block.type === 'note') {
+      validateText(block.text, `${blockLabel} "text"`);
+    }
+    if (block.type === 'actions') {
+      if (!Array.isArray(block.elements) || block.elements.length === 0) {
+        throw new Error(`${blockLabel} needs a non-empty "elements" array.`);
+      }
+      block.elements.forEach((element, elementIndex) => {
+        const elementLabel = `${blockLabel} element ${elementIndex + 1}`;
+        if (!ELEMENT_TYPES.includes(element.type)) {
+          throw new Error(`${elementLabel} has unknown type "${element.type}" (expected one of: ${ELEMENT_TYPES.join(', ')}).`);
+        }
+        validateCondition(element.if, `${elementLabel} "if"`);
+        if (element.type === 'button') {
+          validateText(element.text, `${elementLabel} "text"`);
+          validateText(element.url, `${elementLabel} "url"`);
+          if (element.style !== undefined && !BUTTON_STYLES.includes(element.style)) {
+            throw new Error(`${elementLabel} "style" must be one of: ${BUTTON_STYLES.join(', ')}.`);
+          }
+        }
+      });
+    }
+  });
+}
+
+function loadDirectory(dir, templates) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  files.forEach(file => {
+    const label = `Template ${path.join(dir, file)}`;
+    let template;
+    try {
+      template = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`${label} is not valid JSON: ${error.message}`);
+    }
+    validateTemplate(template, label);
+    templates.set(template.eventType, template);
+  });
+  return files.length;
+}
+
+/**
+ * Load the built-in templates and, optionally, a directory of overrides
+ * @param {string} [overridesDir] - Directory of template files (MESSAGE_TEMPLATES_DIR)
+ * @returns {Map<string, object>} - Templates by event type (`*` for the default template)
+ */
+function loadTemplates(overridesDir) {
+  const templates = new Map();
+  loadDirectory(BUILTIN_DIR, templates);
+
+  if (overridesDir) {
+    const count = loadDirectory(overridesDir, templates);
+    console.log(`[Templates] Loaded ${count} template(s) from ${overridesDir}`);
+  }
+  if (!templates.has(DEFAULT_TEMPLATE)) {
+    throw new Error('No default template ("eventType": "*") found.');
+  }
+  return templates;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_FALLBACK,
+  SEVERITY_COLORS,
+  loadTemplates,
+  validateTemplate,
+  renderSegments,
+  renderRichText,
+  renderText,
+  testCondition,
+  resolveCases
+};
@@ -0,0 +1,138 @@
+/**
+ * @module utils/tenants
+ * @description Registry of MCP accounts (tenants) served by one mcp-alerts process.
+ *
+ * Each tenant has its own webhook path, signing secret and Slack destination. Without a
+ * `TENANTS_FILE`, a single `default` tenant is built from the existing environment
+ * variables, so single-account deployments keep working unchanged.
+ *
+ * @example <caption>config/tenants.json</caption>
+ * {
+ *   "tenants": [
+ *     {
+ *       "id": "linehaul",
+ *       "name": "Linehaul Trucking",
+ *       "signingSecretEnv": "MCP_SIGNING_SECRET_LINEHAUL",
+ *       "slackChannel": "linehaul-alerts",
+ *       "slackWebhookUrlEnv": "SLACK_WEBHOOK_URL_LINEHAUL",
+ *       "routingRulesFile": "./config/routing.linehaul.json"
+ *     }
+ *   ]
+ * }
+ *
+ * `webhookPath` defaults to `<MCP_WEBHOOK_URL_PATH>/<id>` (e.g. `/webhooks/mcp/linehaul`).
+ * Secrets and webhook URLs can be given inline (`signingSecret`, `slackWebhookUrl`) or,
+ * preferably, as the name of an environment variable holding them (`...Env`).
+ */
+const fs = require('fs');
+
+const DEFAULT_WEBHOOK_PATH = '/webhooks/mcp';
+
+/**
+ * Log prefix identifying a tenant
+ * @param {object|string} tenant - Tenant or tenant ID
+ * @returns {string} - Prefix such as `[tenant:linehaul]`
+ */
+function tenantTag(tenant) {
+  return `[tenant:${typeof tenant === 'string' ? tenant : tenant.id}]`;
+}
+
+/**
+ * Resolve a setting given inline or through the name of an environment variable
+ * @param {object} config - Configuration object
+ * @param {string} key - Setting name; `<key>Env` names the environment variable
+ * @param {object} env - Environment variables
+ * @returns {string|undefined} - The value
+ */
+function resolveSetting(config, key, env) {
+  if (config[key]) {
+    return config[key];
+  }
+  const envName = config[`${key}Env`];
+  return envName ? env[envName] : undefined;
+}
+
+/**
+ * Normalize one tenant entry from the tenants file
+ * @param {object} config - Raw tenant configuration
+ * @param {object} env - Environment variables
+ * @returns {object} - Tenant
+ */
+function buildTenant(config, env) {
+  if (!config || !config.id || !/^[A-Za-z0-9_-]+$/.test(config.id)) {
+    throw new Error(`Tenant id is required and may only contain letters, digits, "-" and "_" (got ${JSON.stringify(config && config.id)}).`);
+  }
+
+  const basePath = (env.MCP_WEBHOOK_URL_PATH || DEFAULT_WEBHOOK_PATH).replace(/\/$/, '');
+  const tenant = {
+    id: config.id,
+    name: config.name || config.id,
+    webhookPath: config.webhookPath || `${basePath}/${config.id}`,
+    signingSecret: resolveSetting(config, 'signingSecret', env),
+    slackChannel: config.slackChannel || env.SLACK_CHANNEL,
+    slackWebhookUrl: resolveSetting(config, 'slackWebhookUrl', env) || env.SLACK_WEBHOOK_URL,
+    routingRulesFile: config.routingRulesFile
+  };
+
+  if (!tenant.signingSecret) {
+    throw new Error(`Tenant "${tenant.id}" has no signing secret (set signingSecret or signingSecretEnv).`);
+  }
+  return tenant;
+}
+
+/**
+ * Load the tenant registry
+ * @param {string} [file] - Path to the tenants file (TENANTS_FILE); optional
+ * @param {object} [env] - Environment variables, defaults to process.env
+ * @returns {object} - Registry with list() and get(id)
+ */
+function loadTenants(file, env = process.env) {
+  let tenants;
+
+  if (file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(config.tenants) || config.tenants.length === 0) {
+      throw new Error(`${file} must contain a non-empty "tenants" array.`);
+    }
+    tenants = config.tenants.map(tenant => buildTenant(tenant, env));
+  } else {
+    // Single-account mode, configured entirely through the environment
+    tenants = [{
+      id: 'default',
+      name: null,
+      webhookPath: env.MCP_WEBHOOK_URL_PATH || DEFAULT_WEBHOOK_PATH,
+      signingSecret: env.MCP_WEBHOOK_SIGNING_SECRET,
+      slackChannel: env.SLACK_CHANNEL,
+      slackWebhookUrl: env.SLACK_WEBHOOK_URL,
+      routingRulesFile: env.ROUTING_RULES_FILE
+    }];
+  }
+
+  const byId = new Map();
+  const paths = new Set();
+  for (const tenant of tenants) {
+    if (byId.has(tenant.id)) {
+      throw new Error(`Duplicate tenant id "${tenant.id}".`);
+    }
+    if (paths.has(tenant.webhookPath)) {
+      throw new Error(`Tenant "${tenant.id}" reuses webhook path ${tenant.webhookPath}.`);
+    }
+    byId.set(tenant.id, tenant);
+    paths.add(tenant.webhookPath);
+  }
+
+  if (file) {
+    console.log(`[Tenants] Loaded ${tenants.length} tenant(s) from ${file}`);
+  }
+
+  return {
+    list: () => [...tenants],
+    get: (id) => byId.get(id) || null
+  };
+}
+
+module.exports = {
+  loadTenants,
+  tenantTag,
+  resolveSetting
+};
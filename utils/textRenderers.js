@@ -0,0 +1,74 @@
+/**
+ * Render event views (see utils/eventView.js) as plain text
+ *
+ * The text shows what the Slack message shows, in display order: the title, the carrier,
+ * detail and customer rows, notes, the event time and the links. Times are formatted in
+ * ALERT_TIMEZONE and ALERT_LOCALE. Plain text is used for the text part of alert emails,
+ * and the rows and context line for the HTML part and Teams cards.
+ */
+const { formatDate } = require('./dates');
+const { renderRichText } = require('./templates');
+
+/**
+ * Label/value rows of a view in display order: carrier, details and customer
+ * @param {object} view - Event view
+ * @param {object} [textOptions] - Rich text options for the values, as for renderRichText
+ * @returns {Array<Array<string>>} - [label, value] pairs; labels are not escaped
+ */
+function viewRows(view, textOptions) {
+  return view.blocks.flatMap(block => {
+    switch (block.type) {
+      case 'carrier':
+        return [
+          ['Carrier', view.carrier.name],
+          ['DOT Number', view.carrier.dotNumber],
+          ['MC Number', view.carrier.docketNumber || 'N/A']
+        ].map(([label, value]) => [label, renderRichText([{ text: String(value) }], textOptions)]);
+      case 'customer':
+        return [
+          ['Customer', view.customer.name],
+          ['Customer ID', view.customer.id]
+        ].map(([label, value]) => [label, renderRichText([{ text: String(value) }], textOptions)]);
+      case 'details':
+        return block.fields.map(field => [renderRichText(field.label), renderRichText(field.value, textOptions)]);
+      default:
+        return [];
+    }
+  }).map(([label, value]) => [label, value.trim()]);
+}
+
+/**
+ * Event time and, when set, MCP account of a view
+ * @param {object} view - Event view
+ * @param {function} [emphasize] - Wraps the time and account name, e.g. in bold markup
+ * @returns {string} - e.g. `Event occurred at May 21, 2025, 9:37 AM CDT · MCP account: Acme`
+ */
+function contextLine(view, emphasize = text => text) {
+  const context = [`Event occurred at ${emphasize(formatDate(view.occurredAt))}`];
+  if (view.tenantName) {
+    context.push(`MCP account: ${emphasize(view.tenantName)}`);
+  }
+  return context.join(' · ');
+}
+
+/**
+ * Render a view as plain text
+ * @param {object} view - Event view
+ * @returns {string}
+ */
+function renderPlainText(view) {
+  return [
+    view.title,
+    '-'.repeat(40),
+    ...viewRows(view).map(([label, value]) => `${label}: ${value}`),
+    ...view.notes.map(note => renderRichText(note)),
+    contextLine(view),
+    ...view.links.map(link => `${link.text}: ${link.url}`)
+  ].join('\n');
+}
+
+module.exports = {
+  viewRows,
+  contextLine,
+  renderPlainText
+};
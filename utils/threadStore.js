@@ -0,0 +1,102 @@
+/**
+ * @module utils/threadStore
+ * @description Remembers the Slack message that started each incident report thread.
+ *
+ * When a `carrier.incident_report.created` alert is posted through the Web API, its
+ * channel ID and `ts` are stored here under the incident report ID. Later updates and
+ * retractions of the same incident are posted as replies in that thread and the parent
+ * message is edited to show the current status. Entries are persisted to a JSON file so
+ * threads keep working across restarts, and pruned after `maxAgeDays`.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+
+/**
+ * Build the key for an incident thread
+ * @param {string} tenantId - Tenant the incident belongs to
+ * @param {string} incidentReportID - MCP incident report ID
+ * @param {string} channel - Channel the alert was routed to
+ * @returns {string} - Thread key
+ */
+function threadKey(tenantId, incidentReportID, channel) {
+  return `${tenantId || 'default'}:${incidentReportID}:${channel}`;
+}
+
+/**
+ * Create a file-backed thread store
+ * @param {object} options - Store options
+ * @param {string} options.file - JSON file holding the threads
+ * @param {number} [options.maxAgeDays] - How long a thread is remembered after its last update
+ * @returns {object} - Store with get and set methods
+ */
+function createThreadStore({ file, maxAgeDays = DEFAULT_MAX_AGE_DAYS }) {
+  let threads = {};
+  // Saves of the file, one at a time (they share the tmp file)
+  let saving = Promise.resolve();
+
+  try {
+    threads = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[Threads] Could not read ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const [key, thread] of Object.entries(threads)) {
+      if (Date.parse(thread.updatedAt) < cutoff) {
+        delete threads[key];
+      }
+    }
+
+    // Each save writes the threads as they are when it runs, so the last one wins
+    const write = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(threads, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    // A failed save doesn't hold up the next one
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Look up a thread
+   * @param {string} key - Thread key from threadKey()
+   * @returns {object|null} - { channel, ts, status, createdAt, updatedAt } or null
+   */
+  function get(key) {
+    return threads[key] || null;
+  }
+
+  /**
+   * Store or update a thread
+   * @param {string} key - Thread key from threadKey()
+   * @param {object} thread - Fields to store ({ channel, ts, status })
+   * @returns {Promise<object>} - The stored thread
+   */
+  async function set(key, thread) {
+    const now = new Date().toISOString();
+    threads[key] = {
+      createdAt: now,
+      ...threads[key],
+      ...thread,
+      updatedAt: now
+    };
+    await save();
+    return threads[key];
+  }
+
+  return {
+    get,
+    set
+  };
+}
+
+module.exports = {
+  createThreadStore,
+  threadKey
+};
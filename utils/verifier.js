@@ -4,6 +4,7 @@
  *
  * This module includes:
  * - An Express middleware (`mcpVerifyMiddleware`) for verifying incoming webhook signatures.
+ * - A factory (`createMcpVerifyMiddleware`) for the same middleware with a per-tenant signing secret.
  * - A helper function (`getExpressVerifyCallback`) to ensure the raw request body is preserved for verification.
  * - Core functions for generating (`generateSignature`) and verifying (`verifySignature`) HMAC-SHA256 signatures.
  *
@@ -113,46 +114,69 @@ function getExpressVerifyCallback() {
 }
 
 /**
- * Express middleware for verifying MCP webhook signatures.
+ * Creates an Express middleware for verifying MCP webhook signatures.
  * It expects the raw request body to be available on req.rawBody.
- * The signing secret should be set in the MCP_WEBHOOK_SIGNING_SECRET environment variable.
  * The signature is expected in the 'MCP-Signature' header.
  *
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {function} next - Express next middleware function.
+ * @example
+ * app.post('/webhooks/mcp/linehaul',
+ *   bodyParser.json({ verify: getExpressVerifyCallback() }),
+ *   createMcpVerifyMiddleware({ secret: process.env.MCP_SIGNING_SECRET_LINEHAUL, tenantId: 'linehaul' }),
+ *   handler
+ * );
+ *
+ * @param {object} [options] - Middleware options.
+ * @param {string} [options.secret] - The signing secret. Defaults to the MCP_WEBHOOK_SIGNING_SECRET environment variable at request time.
+ * @param {string} [options.tenantId] - Tenant the route belongs to, included in log lines.
+ * @returns {function} Express middleware with the signature (req, res, next) => void
  */
-function mcpVerifyMiddleware(req, res, next) {
-  const secret = process.env.MCP_WEBHOOK_SIGNING_SECRET;
-  if (!secret) {
-    console.error('[MCP Verify Middleware] Error: MCP_WEBHOOK_SIGNING_SECRET is not set. Denying request.');
-    return res.status(500).send('Webhook signing secret not configured.');
-  }
+function createMcpVerifyMiddleware({ secret: tenantSecret, tenantId } = {}) {
+  const logPrefix = tenantId ? `[MCP Verify Middleware][tenant:${tenantId}]` : '[MCP Verify Middleware]';
 
-  const signatureHeader = req.get('MCP-Signature'); 
-  if (!signatureHeader) {
-    console.warn(`[MCP Verify Middleware] Warning: Missing MCP-Signature header from IP: ${req.ip}. Denying request.`);
-    return res.status(400).send('Missing signature header.');
-  }
+  return (req, res, next) => {
+    const secret = tenantSecret || process.env.MCP_WEBHOOK_SIGNING_SECRET;
+    if (!secret) {
+      console.error(`${logPrefix} Error: ${tenantId ? 'signing secret for this tenant' : 'MCP_WEBHOOK_SIGNING_SECRET'} is not set. Denying request.`);
+      return res.status(500).send('Webhook signing secret not configured.');
+    }
 
-  if (!req.rawBody) {
-    console.error('[MCP Verify Middleware] Error: req.rawBody is not available. Ensure express.json({ verify: ... }) is used correctly for this route. Denying request.');
-    return res.status(500).send('Raw request body not available for verification.');
-  }
+    const signatureHeader = req.get('MCP-Signature'); 
+    if (!signatureHeader) {
+      console.warn(`${logPrefix} Warning: Missing MCP-Signature header from IP: ${req.ip}. Denying request.`);
+      return res.status(400).send('Missing signature header.');
+    }
+
+    if (!req.rawBody) {
+      console.error(`${logPrefix} Error: req.rawBody is not available. Ensure express.json({ verify: ... }) is used correctly for this route. Denying request.`);
+      return res.status(500).send('Raw request body not available for verification.');
+    }
 
-  // Debug: Log the raw body for troubleshooting signature mismatches
-  console.log('[DEBUG] req.rawBody:', req.rawBody);
-  const isValid = verifySignature(req.rawBody, signatureHeader, secret);
+    // Debug: Log the raw body for troubleshooting signature mismatches
+    console.log(`[DEBUG]${tenantId ? `[tenant:${tenantId}]` : ''} req.rawBody:`, req.rawBody);
+    const isValid = verifySignature(req.rawBody, signatureHeader, secret);
 
-  if (isValid) {
-    console.log(`[MCP Verify Middleware] Signature verified successfully for request from IP: ${req.ip}`);
-    next();
-  } else {
-    console.warn(`[MCP Verify Middleware] Invalid signature for request from IP: ${req.ip}. Received signature: ${signatureHeader}. Denying request.`);
-    res.status(401).send('Invalid signature.');
-  }
+    if (isValid) {
+      console.log(`${logPrefix} Signature verified successfully for request from IP: ${req.ip}`);
+      next();
+    } else {
+      console.warn(`${logPrefix} Invalid signature for request from IP: ${req.ip}. Received signature: ${signatureHeader}. Denying request.`);
+      res.status(401).send('Invalid signature.');
+    }
+  };
 }
 
+/**
+ * Express middleware for verifying MCP webhook signatures.
+ * It expects the raw request body to be available on req.rawBody.
+ * The signing secret should be set in the MCP_WEBHOOK_SIGNING_SECRET environment variable.
+ * The signature is expected in the 'MCP-Signature' header.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const mcpVerifyMiddleware = createMcpVerifyMiddleware();
+
 // Helper for local signature generation (for testing)
 function generateTestSignature(rawBodyString) {
   const secret = process.env.MCP_WEBHOOK_SIGNING_SECRET;
@@ -165,5 +189,6 @@ module.exports = {
   verifySignature,
   getExpressVerifyCallback,
   mcpVerifyMiddleware,
+  createMcpVerifyMiddleware,
   generateTestSignature, // Exported for local testing
 };
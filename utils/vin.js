@@ -0,0 +1,149 @@
+/**
+ * @module utils/vin
+ * @description Offline decoding of vehicle identification numbers (ISO 3779).
+ *
+ * A VIN is 17 letters and digits, without I, O and Q. Position 9 is a check digit computed
+ * from the other 16, so a typo almost always shows up as a mismatch. The check digit is
+ * only mandatory in North America (WMIs starting with 1-5); elsewhere position 9 is often
+ * just part of the vehicle description, so it isn't checked. Position 10 codes the model
+ * year, which repeats every 30 years; the most recent year no later than next year is
+ * taken. The first three characters, the world manufacturer identifier (WMI), are looked
+ * up in the bundled table in utils/wmi.json, which covers common truck, tractor and
+ * trailer makers; other WMIs only name the region.
+ */
+const WMI_MANUFACTURERS = require('./wmi.json');
+
+const VIN_LENGTH = 17;
+const CHECK_DIGIT_POSITION = 8;
+
+// Values of the VIN letters in the check digit sum
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes of the 1980-2009 cycle, in order
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const MODEL_YEAR_CYCLE_START = 1980;
+
+// First WMI characters of North American makers, whose VINs must carry a check digit
+const CHECK_DIGIT_REGIONS = /^[1-5]$/;
+
+// Region of the first WMI character
+const REGIONS = [
+  [/^[1-5]$/, { 1: 'United States', 2: 'Canada', 3: 'Mexico', 4: 'United States', 5: 'United States' }],
+  [/^[A-H]$/, 'Africa'],
+  [/^J$/, 'Japan'],
+  [/^K$/, 'South Korea'],
+  [/^L$/, 'China'],
+  [/^[M-R]$/, 'Asia'],
+  [/^[S-Z]$/, 'Europe'],
+  [/^[6-7]$/, 'Oceania'],
+  [/^[8-9]$/, 'South America']
+];
+
+/**
+ * Check digit of a well-formed VIN
+ * @param {string} vin - 17-character VIN, upper case
+ * @returns {string} - `0`-`9` or `X`
+ */
+function computeCheckDigit(vin) {
+  const sum = [...vin].reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * WEIGHTS[index];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Model year of a VIN's year code
+ * @param {string} code - Position 10 of the VIN
+ * @param {number} [latestYear] - Latest plausible model year, default next year
+ * @returns {number|null} - e.g. 2019, or null for an invalid code
+ */
+function decodeModelYear(code, latestYear = new Date().getFullYear() + 1) {
+  const index = MODEL_YEAR_CODES.indexOf(code);
+  if (index === -1) {
+    return null;
+  }
+  let year = MODEL_YEAR_CYCLE_START + index;
+  while (year + 30 <= latestYear) {
+    year += 30;
+  }
+  return year;
+}
+
+function regionOf(wmi) {
+  const match = REGIONS.find(([pattern]) => pattern.test(wmi[0]));
+  if (!match) {
+    return null;
+  }
+  return typeof match[1] === 'string' ? match[1] : match[1][wmi[0]];
+}
+
+/**
+ * Decode and check a VIN
+ * @param {string} value - VIN as reported
+ * @returns {object|null} - null when there is no VIN, else { vin, wellFormed, problems,
+ *                          problem, checkDigit, checkDigitChecked, expectedCheckDigit,
+ *                          checkDigitValid, modelYear, wmi, manufacturer, region }. The check
+ *                          digit, model year and manufacturer are only set for a well-formed
+ *                          VIN; checkDigitChecked is false, and checkDigitValid null, for a
+ *                          VIN from outside North America.
+ */
+function decodeVin(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const vin = String(value).trim().toUpperCase();
+
+  const problems = [];
+  if (vin.length !== VIN_LENGTH) {
+    problems.push(`has ${vin.length} characters instead of ${VIN_LENGTH}`);
+  }
+  if (/[^A-Z0-9]/.test(vin)) {
+    problems.push('has characters other than letters and digits');
+  }
+  if (/[IOQ]/.test(vin)) {
+    problems.push('contains I, O or Q');
+  }
+
+  const decoded = {
+    vin,
+    wellFormed: problems.length === 0,
+    problems,
+    problem: problems.join(', '),
+    checkDigit: null,
+    checkDigitChecked: null,
+    expectedCheckDigit: null,
+    checkDigitValid: null,
+    modelYear: null,
+    wmi: null,
+    manufacturer: null,
+    region: null
+  };
+  if (!decoded.wellFormed) {
+    return decoded;
+  }
+
+  decoded.checkDigit = vin[CHECK_DIGIT_POSITION];
+  decoded.checkDigitChecked = CHECK_DIGIT_REGIONS.test(vin[0]);
+  if (decoded.checkDigitChecked) {
+    decoded.expectedCheckDigit = computeCheckDigit(vin);
+    decoded.checkDigitValid = decoded.checkDigit === decoded.expectedCheckDigit;
+  }
+  decoded.modelYear = decodeModelYear(vin[9]);
+  decoded.wmi = vin.slice(0, 3);
+  decoded.manufacturer = WMI_MANUFACTURERS[decoded.wmi] || null;
+  decoded.region = regionOf(decoded.wmi);
+  return decoded;
+}
+
+module.exports = {
+  decodeVin,
+  decodeModelYear,
+  computeCheckDigit
+};